@@ -1,208 +1,16 @@
+import { DEVICE_REGISTRY, POWER_BOOSTER_LABEL } from './deviceRegistry.js';
+
+// Sensor definitions come from the device registry (devices.json); see deviceRegistry.js
 class DeviceStatus {
-  constructor(settings, target) {
+  constructor(settings, target, registry = DEVICE_REGISTRY) {
     this.target = target;
     const defaultSettings = {};
     this.settings = { ...defaultSettings, ...settings };
+    this.registry = registry;
+  }
 
-    this.sensors = {
-      AR: [
-        {
-          label: "Temperature",
-          key:"air_temperature",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_TEMPERATURE_FAILED,
-              type: "error"
-            }
-          ]
-        },
-        {
-          label: "RH",
-          key:"rh",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_RH_FAILED,
-              type: "error"
-            }
-          ]
-        },
-        {
-          label: "Lightning",
-          key:"lightning",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_LIGHTNING_FAILED,
-              type: "error"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_LIGHTNING_DISTURBER,
-              failedText: "Disturber",
-              type: "warning"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_LIGHTNING_NOISE,
-              failedText: "Noise",
-              type: "warning"
-            }
-          ]
-        }
-      ],
-      SK: [
-        {
-          label: "Wind",
-          key:"wind",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.SKY_WIND_FAILED,
-              type: "error"
-            }
-          ]
-        },
-        {
-          label: "Precip",
-          key:"precip",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.SKY_PRECIP_FAILED,
-              type: "error"
-            }
-          ]
-        },
-        {
-          label: "Light / UV",
-          key:"light_uv",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.SKY_LIGHT_UV_FAIL,
-              type: "error"
-            }
-          ]
-        }
-      ],
-      ST: [
-        {
-          label: "Temperature",
-          key:"air_temperature",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_TEMPERATURE_FAILED,
-              type: "error"
-            }
-          ]
-        },
-        {
-          label: "RH",
-          key:"rh",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_RH_FAILED,
-              type: "error"
-            }
-          ]
-        },
-        {
-          label: "Lightning",
-          key:"lightning",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_LIGHTNING_FAILED,
-              type: "error"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_LIGHTNING_DISTURBER,
-              failedText: "Disturber",
-              type: "warning"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_LIGHTNING_NOISE,
-              failedText: "Noise",
-              type: "warning"
-            }
-          ]
-        },
-        {
-          label: "Air Pressure",
-          key:"pressure",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.AIR_PRESSURE_FAILED,
-              type: "error"
-            },
-          ]
-        },
-        {
-          label: "Precip",
-          key:"precip",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.SKY_PRECIP_FAILED,
-              type: "error"
-            },
-          ]
-        },
-        {
-          label: "Light / UV",
-          key:"light_uv",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.SKY_LIGHT_UV_FAIL,
-              type: "error"
-            },
-          ]
-        },
-        {
-          label: "Light Sensor Type",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.LITR_LIGHT_SENSOR,
-              failedText: "LTR",
-              type: "normal"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.LITR_SENSOR_TYPE,
-              failedText: "Si1133",
-              type: "normal"
-            },
-          ],
-          passedText: "APDS9200"
-        },
-        {
-          label: "Power Mode",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.LOW_POWER_MODE1,
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.LOW_POWER_MODE2,
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.LOW_POWER_MODE3,
-            },
-          ]
-        },
-        {
-          label: "Power Booster",
-          flags: [
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.ROCKET_DETECTED,
-              failedText: "Detected",
-              type: "normal"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.ROCKET_ENABLED,
-              failedText: "Enabled",
-              type: "normal"
-            },
-            {
-              flag: DeviceStatus.SENSOR_STATUS_FLAGS.ROCKET_SHORE_POWER,
-              failedText: "External Power",
-              type: "normal"
-            }
-          ],
-          passedText: "Not Detected"
-        }
-      ]
-    };
+  sensorsFor(deviceType) {
+    return this.registry.deviceTypes[deviceType]?.sensors || [];
   }
 
   // Static method to find status
@@ -211,7 +19,7 @@ class DeviceStatus {
     let failure = 0;
     let success = 0;
 
-    const deviceSensors = this.sensors[deviceType];
+    const deviceSensors = this.sensorsFor(deviceType);
 
     for (let x = 0; x < deviceSensors.length; x++) {
       const sensorItem = deviceSensors[x];
@@ -285,21 +93,94 @@ class DeviceStatus {
     return retval;
   }
 
+  // Turn a getBatteryStatus() label into a number: 0 for normal/performance, else the low power mode
+  static powerModeLevel = function (powerMode) {
+    const match = /^Low Power Mode (\d)/.exec(powerMode || '');
+    return match ? Number(match[1]) : 0;
+  }
+
+  // Last observation time in ms from the diagnostics payload, or null if it isn't there
+  static lastObservation = function (device) {
+    const epoch = Number(device.last_observation_epoch ?? device.last_ob_epoch ?? device.timestamp);
+    return Number.isFinite(epoch) && epoch > 0 ? epoch * 1000 : null;
+  }
+
+  // Hubs have no sensors; pull their connectivity and stability fields instead
+  static processHub = function (device) {
+    const { device_id, serial_number: serial, sensor_status: rawStatus } = device;
+    const number = value => (Number.isFinite(Number(value)) && value !== null ? Number(value) : null);
+
+    return {
+      device_id,
+      serial,
+      deviceType: 'HB',
+      rawStatus,
+      sensorStatus: 'success',
+      failures: [],
+      warnings: [],
+      firmware: device.firmware_revision ?? null,
+      powerMode: null,
+      powerModeLevel: null,
+      powerBooster: null,
+      batteryVoltage: null,
+      lastObservation: DeviceStatus.lastObservation(device),
+      hub: {
+        uptime: number(device.uptime),
+        rebootCount: number(device.reboot_count),
+        rssi: number(device.rssi ?? device.wifi_rssi),
+        resetReason: device.reset_flags ?? device.reset_reason ?? null
+      }
+    };
+  }
+
   static processDevices = function (devices, settings = {}, target = null) {
+    const ds = new DeviceStatus(settings, target);
     return devices
-      .filter(d => !d.serial_number.includes('HB'))
       .map(device => {
         const { device_id, serial_number: serial, sensor_status: rawStatus } = device;
         const deviceType = serial.split('-')[0];
-        const ds = new DeviceStatus(settings, target);
+        const definition = ds.registry.deviceTypes[deviceType];
+        if (definition?.hub) {
+          return DeviceStatus.processHub(device);
+        }
+
+        const firmware = device.firmware_revision ?? null;
+        const voltage = Number(device.battery_voltage ?? device.voltage);
+        const batteryVoltage = Number.isFinite(voltage) ? voltage : null;
+
+        // Only some device types (the Tempest) report power mode and booster flags
+        let powerMode = null;
+        let powerBooster = null;
+        if (definition?.powerModes) {
+          const boosterDef = definition.sensors.find(def => def.label === POWER_BOOSTER_LABEL);
+          const boosterFlags = boosterDef.flags
+            .filter(f => ds._hasSensorError(rawStatus, f.flag))
+            .map(f => f.failedText);
+          powerMode = ds.getBatteryStatus(rawStatus, firmware);
+          powerBooster = ds.getPowerBoosterStatus(boosterFlags) || boosterDef.passedText;
+        }
+        const powerModeLevel = powerMode ? DeviceStatus.powerModeLevel(powerMode) : null;
 
         const sensorStatus = ds.findStatus(rawStatus, deviceType);
         const failures = [];
+        const warnings = [];
+
+        // Warnings (e.g. lightning Noise/Disturber) can be set alongside failures
+        for (const def of ds.sensorsFor(deviceType)) {
+          for (const f of def.flags) {
+            if (f.type === 'warning' && ds._hasSensorError(rawStatus, f.flag)) {
+              warnings.push({
+                sensor: def.key,
+                reason: f.failedText,
+                key: `${def.key}_${f.failedText.toLowerCase()}`
+              });
+            }
+          }
+        }
 
         if (sensorStatus === 'failure') {
           // Look up definitions for this deviceType
-          const defs = ds.sensors[deviceType] || [];
-          for (const def of defs) {
+          for (const def of ds.sensorsFor(deviceType)) {
             for (const f of def.flags) {
               if (f.type === 'error' && ds._hasSensorError(rawStatus, f.flag)) {
                 // use def.key instead of def.label
@@ -309,7 +190,22 @@ class DeviceStatus {
           }
         }
 
-        return { device_id, serial, deviceType, rawStatus, sensorStatus, failures };
+        return {
+          device_id,
+          serial,
+          deviceType,
+          rawStatus,
+          sensorStatus,
+          failures,
+          warnings,
+          firmware,
+          powerMode,
+          powerModeLevel,
+          powerBooster,
+          batteryVoltage,
+          lastObservation: DeviceStatus.lastObservation(device),
+          hub: null
+        };
       });
     }
 
@@ -324,28 +220,8 @@ class DeviceStatus {
   }
 }
 
-// Add static properties to the class
-DeviceStatus.SENSOR_STATUS_FLAGS = {
-  "SENSORS_OK": 0x00000000,
-  "AIR_LIGHTNING_FAILED": 0x00000001,
-  "AIR_LIGHTNING_NOISE": 0x00000002,
-  "AIR_LIGHTNING_DISTURBER": 0x00000004,
-  "AIR_PRESSURE_FAILED": 0x00000008,
-  "AIR_TEMPERATURE_FAILED": 0x00000010,
-  "AIR_RH_FAILED": 0x00000020,
-  "SKY_WIND_FAILED": 0x00000040,
-  "SKY_PRECIP_FAIL": 0x00000080,
-  "SKY_LIGHT_UV_FAIL": 0x00000100,
-  "LITR_LIGHT_SENSOR": 0x00020000,
-  "LITR_SENSOR_TYPE": 0x00040000,
-  "ROCKET_DETECTED": 0x00000200,  // Do not display in app
-  "ROCKET_ENABLED": 0x00000400,   // Do not display in app
-  "ROCKET_SHORE_POWER": 0x00010000, // Do not display in app
-  "LOW_POWER_MODE1": 0x00000800,  // Do not display in app
-  "LOW_POWER_MODE2": 0x00001000,  // Do not display in app
-  "LOW_POWER_MODE3": 0x00002000,  // Do not display in app
-  "SERIAL_ENABLED": 0x00004000    // Do not display in app
-};
+// Flag name -> bit, from the device registry
+DeviceStatus.SENSOR_STATUS_FLAGS = DEVICE_REGISTRY.flags;
 
 // Export the class
 export default DeviceStatus;
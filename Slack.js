@@ -1,4 +1,16 @@
 import axios from 'axios';
+import { HUB_PROBLEM_LABELS } from './hubs.js';
+import { describeScope } from './silences.js';
+import { formatDuration } from './incidents.js';
+import { recordDeliveryFailure } from './telemetry.js';
+import { logger } from './logger.js';
+
+// "wind (failed for 2h 5m), rh"
+export function describeRecovered(sensors, downtimes = {}) {
+  return sensors
+    .map(sensor => (downtimes[sensor] !== undefined ? `${sensor} (failed for ${formatDuration(downtimes[sensor])})` : sensor))
+    .join(', ');
+}
 
 export class Slack {
   constructor(webhookUrl) {
@@ -12,7 +24,24 @@ export class Slack {
         link_names: 1
       });
     } catch (error) {
-      console.warn('Failed to send Slack alert:', error.message);
+      recordDeliveryFailure('slack');
+      logger.warn('slack_delivery_failed', 'Failed to send Slack alert', { error });
+    }
+  }
+
+  // Returns whether the post went through, so a digest knows it can let go of its lines
+  async sendBlocks(text, blocks) {
+    try {
+      await axios.post(this.webhookUrl, {
+        text,
+        blocks,
+        link_names: 1
+      });
+      return true;
+    } catch (error) {
+      recordDeliveryFailure('slack');
+      logger.warn('slack_delivery_failed', 'Failed to send Slack digest', { error });
+      return false;
     }
   }
 
@@ -20,6 +49,11 @@ export class Slack {
     return userIds && userIds.length ? userIds.map(id => `<@${id}>`).join(' ') + ' ' : '';
   }
 
+  // Renders in each reader's own time zone, with the ISO time as fallback
+  buildDate(ms) {
+    return `<!date^${Math.floor(ms / 1000)}^{date_short_pretty} {time}|${new Date(ms).toISOString()}>`;
+  }
+
   buildStationLink(stationId, stationName) {
     return `*<https://tempestwx.com/station/${stationId}|${stationId}>* (${stationName})`;
   }
@@ -30,18 +64,158 @@ export class Slack {
     await this.sendAlert(message);
   }
 
-  async sendRecoveryAlert(userName, stationId, stationName) {
+  async sendRecoveryAlert(userName, stationId, stationName, downtimeMs = null) {
+    const link = this.buildStationLink(stationId, stationName);
+    const downtime = downtimeMs !== null ? ` (offline for ${formatDuration(downtimeMs)})` : '';
+    const message = `:white_check_mark: ${userName} Station ${link} has *RECOVERED*!${downtime}`;
+    await this.sendAlert(message);
+  }
+
+  async sendSensorRecoveryAlert(userName, stationId, stationName, serial, sensors, downtimes = {}) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:white_check_mark: ${userName} Station ${link} sensor recovered on ${serial}: ${describeRecovered(sensors, downtimes)}`;
+    await this.sendAlert(message);
+  }
+
+  async sendMonitoringDegradedAlert(mentions, userName, failedRuns, since) {
+    const message = `${mentions}:satellite_antenna: ${userName} monitoring is *DEGRADED*: the WeatherFlow API has been unreachable for ${failedRuns} runs, station health is unknown`;
+    await this.sendAlert(message);
+  }
+
+  async sendMonitoringRestoredAlert(userName) {
+    const message = `:white_check_mark: ${userName} monitoring has *RESTORED*: the WeatherFlow API is reachable again`;
+    await this.sendAlert(message);
+  }
+
+  async sendLowPowerAlert(mentions, userName, stationId, stationName, serial, powerMode, batteryVoltage) {
+    const link = this.buildStationLink(stationId, stationName);
+    const voltage = batteryVoltage !== null ? ` (battery ${batteryVoltage.toFixed(2)}V)` : '';
+    const message = `${mentions}:battery: ${userName} Station ${link} device ${serial} entered *${powerMode}*${voltage}`;
+    await this.sendAlert(message);
+  }
+
+  async sendPowerRestoredAlert(userName, stationId, stationName, serial, powerMode) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:white_check_mark: ${userName} Station ${link} device ${serial} is back in ${powerMode}`;
+    await this.sendAlert(message);
+  }
+
+  async sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, reason, since) {
+    const link = this.buildStationLink(stationId, stationName);
+    const hours = Math.floor((Date.now() - since) / 3600000);
+    const message = `${mentions}:zap: ${userName} Station ${link} ${sensor} on ${serial} has reported *${reason}* for ${hours}h`;
+    await this.sendAlert(message);
+  }
+
+  async sendWarningClearedAlert(userName, stationId, stationName, serial, warningKeys) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:white_check_mark: ${userName} Station ${link} warnings cleared on ${serial}: ${warningKeys.join(', ')}`;
+    await this.sendAlert(message);
+  }
+
+  async sendHubAlert(mentions, userName, stationId, stationName, serial, problem, detail) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `${mentions}:satellite: ${userName} Station ${link} hub ${serial} ${detail}`;
+    await this.sendAlert(message);
+  }
+
+  async sendHubRecoveredAlert(userName, stationId, stationName, serial, problem) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:white_check_mark: ${userName} Station ${link} hub ${serial} ${HUB_PROBLEM_LABELS[problem]} has cleared`;
+    await this.sendAlert(message);
+  }
+
+  async sendStaleDataAlert(mentions, userName, stationId, stationName, serial, lastObservation) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `${mentions}:hourglass_flowing_sand: ${userName} Station ${link} device ${serial} has *STALE DATA*: no observation since ${this.buildDate(lastObservation)}`;
+    await this.sendAlert(message);
+  }
+
+  async sendStaleRecoveredAlert(userName, stationId, stationName, serial) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:white_check_mark: ${userName} Station ${link} device ${serial} is sending data again`;
+    await this.sendAlert(message);
+  }
+
+  async sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, suspects) {
+    const link = this.buildStationLink(stationId, stationName);
+    const details = suspects.map(s => `${s.sensor} (${s.detail})`).join(', ');
+    const message = `${mentions}:mag: ${userName} Station ${link} has *SUSPECT* sensors on ${serial}: ${details}`;
+    await this.sendAlert(message);
+  }
+
+  async sendSuspectClearedAlert(userName, stationId, stationName, serial, sensors) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:white_check_mark: ${userName} Station ${link} readings look normal again on ${serial}: ${sensors.join(', ')}`;
+    await this.sendAlert(message);
+  }
+
+  async sendFirmwareChangedAlert(userName, stationId, stationName, serial, previousFirmware, firmware) {
+    const link = this.buildStationLink(stationId, stationName);
+    const message = `:package: ${userName} Station ${link} device ${serial} firmware changed from ${previousFirmware} to ${firmware}`;
+    await this.sendAlert(message);
+  }
+
+  async sendFirmwareOutdatedAlert(mentions, userName, stationId, stationName, serial, firmware, minimum) {
     const link = this.buildStationLink(stationId, stationName);
-    const message = `:white_check_mark: ${userName} Station ${link} has *RECOVERED*!`;
+    const message = `${mentions}:package: ${userName} Station ${link} device ${serial} is on *OUTDATED* firmware ${firmware} (minimum ${minimum})`;
     await this.sendAlert(message);
   }
 
-  async sendOfflineAlert(mentions, userName, stationId, stationName, failedSensors = []) {
+  async sendFirmwareCurrentAlert(userName, stationId, stationName, serial, firmware, minimum) {
+    const link = this.buildStationLink(stationId, stationName);
+    // No minimum when the tenant stopped checking this device type
+    const required = minimum !== undefined ? ` (minimum ${minimum})` : '';
+    const message = `:white_check_mark: ${userName} Station ${link} device ${serial} is on firmware ${firmware}${required}`;
+    await this.sendAlert(message);
+  }
+
+  async sendSilenceExpiredAlert(mentions, userName, silence, problems) {
+    const ended = `:bell: ${userName} maintenance silence for ${describeScope(silence)} has ended (${silence.reason})`;
+    if (!problems.length) {
+      await this.sendAlert(`${ended}. Everything it covered is healthy.`);
+      return;
+    }
+    const lines = problems.map(p => `• ${this.buildStationLink(p.stationId, p.stationName)}: ${p.details.join('; ')}`);
+    await this.sendAlert(`${mentions}${ended}. Still unresolved:\n${lines.join('\n')}`);
+  }
+
+  async sendUptimeReport(report) {
+    const range = `${new Date(report.from).toISOString().slice(0, 10)} to ${new Date(report.to).toISOString().slice(0, 10)}`;
+    const mttr = report.mttrMs !== null ? `, MTTR ${formatDuration(report.mttrMs)}` : '';
+    const lines = [
+      `:bar_chart: *${report.tenant} uptime* ${range}: ${report.uptimePct.toFixed(2)}% across ${report.stationCount} stations, ${report.outageCount} outages${mttr}`
+    ];
+    for (const s of report.worst) {
+      lines.push(`• ${this.buildStationLink(s.stationId, s.stationName)} ${s.uptimePct.toFixed(2)}% (down ${formatDuration(s.downtimeMs)}, outages: ${s.outages})`);
+    }
+    const weakSensors = Object.entries(report.sensors)
+      .filter(([, s]) => s.availabilityPct < 99.9)
+      .map(([sensor, s]) => `${sensor} ${s.availabilityPct.toFixed(2)}%`);
+    if (weakSensors.length) {
+      lines.push(`Sensor availability: ${weakSensors.join(', ')}`);
+    }
+    await this.sendAlert(lines.join('\n'));
+  }
+
+  // Dead-man alerts about the monitor itself
+  async sendMonitorStalledAlert(mentions, lastCompletedAt, reason) {
+    const last = lastCompletedAt ? this.buildDate(lastCompletedAt) : 'never';
+    const message = `${mentions}:skull: VIP station monitor is *NOT RUNNING* normally: ${reason}. Last completed run: ${last}`;
+    await this.sendAlert(message);
+  }
+
+  async sendMonitorResumedAlert() {
+    await this.sendAlert(':white_check_mark: VIP station monitor runs are completing again');
+  }
+
+  async sendOfflineAlert(mentions, userName, stationId, stationName, failedSensors = [], rootCause = null) {
     const link = this.buildStationLink(stationId, stationName);
     const baseText = `${mentions}:rotating_light: ${userName} Station ${link} is *OFFLINE*`;
+    const cause = rootCause ? `\nLikely cause: ${rootCause}` : '';
     const message = failedSensors.length > 0
-      ? `${baseText} and has sensor failures: ${failedSensors.join(', ')}`
-      : `${baseText}!`;
+      ? `${baseText} and has sensor failures: ${failedSensors.join(', ')}${cause}`
+      : `${baseText}!${cause}`;
     await this.sendAlert(message);
   }
 }
\ No newline at end of file
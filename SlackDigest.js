@@ -0,0 +1,240 @@
+import { HUB_PROBLEM_LABELS } from './hubs.js';
+import { describeScope } from './silences.js';
+import { formatDuration } from './incidents.js';
+import { describeRecovered } from './Slack.js';
+
+// Collects a run's alerts and posts them to Slack as one Block Kit message.
+// Exposes the same send*Alert methods as Slack, so processUser can hand either
+// one the events.
+
+const SECTION_TEXT_LIMIT = 2900;
+const MAX_BLOCKS = 50;
+
+const SECTIONS = [
+  { key: 'offline',    title: ':rotating_light: New offline' },
+  { key: 'failures',   title: ':warning: New sensor failures' },
+  { key: 'recoveries', title: ':white_check_mark: Recovered' },
+  { key: 'suspects',   title: ':mag: Suspect sensors' },
+  { key: 'stale',      title: ':hourglass_flowing_sand: Stale data' },
+  { key: 'hubs',       title: ':satellite: Hub problems' },
+  { key: 'lowPower',   title: ':battery: Low power' },
+  { key: 'firmware',   title: ':package: Firmware' },
+  { key: 'warnings',   title: ':zap: Persistent warnings' },
+  { key: 'stillDown',  title: ':hourglass: Still down' },
+  { key: 'monitoring', title: ':satellite_antenna: Monitoring' },
+  { key: 'silences',   title: ':bell: Silences ended' }
+];
+
+export class SlackDigest {
+  constructor(slack, title) {
+    this.slack = slack;
+    this.title = title;
+    this.clear();
+  }
+
+  clear() {
+    this.mentions = new Set();
+    this.lines = { offline: [], failures: [], recoveries: [], suspects: [], stale: [], hubs: [], lowPower: [], firmware: [], warnings: [], stillDown: [], monitoring: [], silences: [] };
+  }
+
+  _addMentions(mentions) {
+    for (const mention of mentions.trim().split(/\s+/).filter(Boolean)) {
+      this.mentions.add(mention);
+    }
+  }
+
+  async sendOfflineAlert(mentions, userName, stationId, stationName, failedSensors = [], rootCause = null) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const failures = failedSensors.length > 0 ? ` - sensor failures: ${failedSensors.join(', ')}` : '';
+    const cause = rootCause ? ` - likely cause: ${rootCause}` : '';
+    this.lines.offline.push(`${userName} ${link}${failures}${cause}`);
+  }
+
+  async sendSensorFailureAlert(mentions, userName, stationId, stationName, sensors) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.failures.push(`${userName} ${link}: ${sensors.join(', ')}`);
+  }
+
+  async sendRecoveryAlert(userName, stationId, stationName, downtimeMs = null) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const downtime = downtimeMs !== null ? ` after ${formatDuration(downtimeMs)} offline` : '';
+    this.lines.recoveries.push(`${userName} ${link} is back online${downtime}`);
+  }
+
+  async sendSensorRecoveryAlert(userName, stationId, stationName, serial, sensors, downtimes = {}) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.recoveries.push(`${userName} ${link} sensor recovered on ${serial}: ${describeRecovered(sensors, downtimes)}`);
+  }
+
+  async sendMonitoringDegradedAlert(mentions, userName, failedRuns) {
+    this._addMentions(mentions);
+    this.lines.monitoring.push(`${userName} degraded: WeatherFlow API unreachable for ${failedRuns} runs`);
+  }
+
+  async sendMonitoringRestoredAlert(userName) {
+    this.lines.monitoring.push(`${userName} restored: WeatherFlow API reachable again`);
+  }
+
+  async sendLowPowerAlert(mentions, userName, stationId, stationName, serial, powerMode, batteryVoltage) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const voltage = batteryVoltage !== null ? ` (battery ${batteryVoltage.toFixed(2)}V)` : '';
+    this.lines.lowPower.push(`${userName} ${link} ${serial}: ${powerMode}${voltage}`);
+  }
+
+  async sendPowerRestoredAlert(userName, stationId, stationName, serial, powerMode) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.recoveries.push(`${userName} ${link} ${serial} back in ${powerMode}`);
+  }
+
+  async sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, reason, since) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const hours = Math.floor((Date.now() - since) / 3600000);
+    this.lines.warnings.push(`${userName} ${link} ${sensor} on ${serial}: ${reason} for ${hours}h`);
+  }
+
+  async sendWarningClearedAlert(userName, stationId, stationName, serial, warningKeys) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.recoveries.push(`${userName} ${link} warnings cleared on ${serial}: ${warningKeys.join(', ')}`);
+  }
+
+  async sendHubAlert(mentions, userName, stationId, stationName, serial, problem, detail) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.hubs.push(`${userName} ${link} hub ${serial} ${detail}`);
+  }
+
+  async sendHubRecoveredAlert(userName, stationId, stationName, serial, problem) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.recoveries.push(`${userName} ${link} hub ${serial} ${HUB_PROBLEM_LABELS[problem]} cleared`);
+  }
+
+  async sendStaleDataAlert(mentions, userName, stationId, stationName, serial, lastObservation) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.stale.push(`${userName} ${link} ${serial}: no observation since ${this.slack.buildDate(lastObservation)}`);
+  }
+
+  async sendStaleRecoveredAlert(userName, stationId, stationName, serial) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.recoveries.push(`${userName} ${link} ${serial} is sending data again`);
+  }
+
+  async sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, suspects) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const details = suspects.map(s => `${s.sensor} (${s.detail})`).join(', ');
+    this.lines.suspects.push(`${userName} ${link} ${serial}: ${details}`);
+  }
+
+  async sendSuspectClearedAlert(userName, stationId, stationName, serial, sensors) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.recoveries.push(`${userName} ${link} readings normal again on ${serial}: ${sensors.join(', ')}`);
+  }
+
+  async sendFirmwareChangedAlert(userName, stationId, stationName, serial, previousFirmware, firmware) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.firmware.push(`${userName} ${link} ${serial}: firmware ${previousFirmware} to ${firmware}`);
+  }
+
+  async sendFirmwareOutdatedAlert(mentions, userName, stationId, stationName, serial, firmware, minimum) {
+    this._addMentions(mentions);
+    const link = this.slack.buildStationLink(stationId, stationName);
+    this.lines.firmware.push(`${userName} ${link} ${serial}: outdated firmware ${firmware} (minimum ${minimum})`);
+  }
+
+  async sendFirmwareCurrentAlert(userName, stationId, stationName, serial, firmware, minimum) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const required = minimum !== undefined ? ` (minimum ${minimum})` : '';
+    this.lines.recoveries.push(`${userName} ${link} ${serial} on firmware ${firmware}${required}`);
+  }
+
+  async sendSilenceExpiredAlert(mentions, userName, silence, problems) {
+    const ended = `${userName} ${describeScope(silence)} (${silence.reason})`;
+    if (!problems.length) {
+      this.lines.silences.push(`${ended}: all healthy`);
+      return;
+    }
+    this._addMentions(mentions);
+    for (const p of problems) {
+      this.lines.silences.push(`${ended}: ${this.slack.buildStationLink(p.stationId, p.stationName)} ${p.details.join('; ')}`);
+    }
+  }
+
+  addStillDown(userName, stationId, stationName, offlineSince) {
+    const link = this.slack.buildStationLink(stationId, stationName);
+    const since = offlineSince ? ` since ${this.slack.buildDate(offlineSince)}` : '';
+    this.lines.stillDown.push(`${userName} ${link}${since}`);
+  }
+
+  // Still-down stations alone aren't news, so only post when something changed
+  hasTransitions() {
+    return this.lines.offline.length > 0
+      || this.lines.failures.length > 0
+      || this.lines.recoveries.length > 0
+      || this.lines.suspects.length > 0
+      || this.lines.stale.length > 0
+      || this.lines.hubs.length > 0
+      || this.lines.lowPower.length > 0
+      || this.lines.firmware.length > 0
+      || this.lines.warnings.length > 0
+      || this.lines.monitoring.length > 0
+      || this.lines.silences.length > 0;
+  }
+
+  buildBlocks() {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: this.title } }
+    ];
+    if (this.mentions.size) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: [...this.mentions].join(' ') } });
+    }
+
+    for (const { key, title } of SECTIONS) {
+      const lines = this.lines[key];
+      if (!lines.length) continue;
+
+      blocks.push({ type: 'divider' });
+      let text = `*${title} (${lines.length})*`;
+      for (const line of lines) {
+        const next = `• ${line}`;
+        if (text.length + next.length + 1 > SECTION_TEXT_LIMIT) {
+          blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+          text = next;
+        } else {
+          text += `\n${next}`;
+        }
+      }
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+    }
+
+    if (blocks.length > MAX_BLOCKS) {
+      const dropped = blocks.length - (MAX_BLOCKS - 1);
+      blocks.splice(MAX_BLOCKS - 1);
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${dropped} more blocks truncated` }] });
+    }
+    return blocks;
+  }
+
+  // Fallback text for notifications and clients that don't render blocks
+  buildSummary() {
+    const counts = SECTIONS
+      .filter(({ key }) => this.lines[key].length)
+      .map(({ key, title }) => `${title.replace(/^:\w+: /, '')}: ${this.lines[key].length}`);
+    return `${[...this.mentions].join(' ')} ${this.title} - ${counts.join(', ')}`.trim();
+  }
+
+  // Posts and empties the digest; lines that failed to post are kept for the next flush
+  async flush() {
+    if (!this.hasTransitions()) {
+      this.clear();
+      return;
+    }
+    if (await this.slack.sendBlocks(this.buildSummary(), this.buildBlocks())) {
+      this.clear();
+    }
+  }
+}
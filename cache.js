@@ -1,49 +1,337 @@
-import AWS from 'aws-sdk';
 import config from './config.json' with { type: 'json' };
+import { createCacheStore, CacheConflictError, CacheCorruptError } from './cacheStores.js';
+import { CACHE_SCHEMA_VERSION, emptyStationCache, upgradeStationCache } from './cacheSchema.js';
 
-const { S3_BUCKET, AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY } = config;
+let store = null;
 
-const s3 = new AWS.S3({
-  region: AWS_REGION,
-  credentials: {
-    accessKeyId:     AWS_ACCESS_KEY_ID,
-    secretAccessKey: AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Version of each object as last loaded, so saves can detect overlapping runs
+const versions = new Map();
 
+export function getCacheStore() {
+  if (!store) {
+    store = createCacheStore(config);
+  }
+  return store;
+}
+
+// Swap the backend, e.g. for an in-memory store in tests or local runs
+export function setCacheStore(newStore) {
+  store = newStore;
+  versions.clear();
+}
+
+// Loads and upgrades a tenant's station cache (see cacheSchema.js). Throws
+// CacheCorruptError or CacheVersionError rather than handing back something unusable.
 export async function loadCacheFor(userName) {
   const Key = `${userName}_stationOfflineCache.json`;
+  let obj;
+  try {
+    obj = await getCacheStore().read(Key);
+  } catch (err) {
+    // Remember the corrupt object's version so it can be replaced conditionally
+    if (err instanceof CacheCorruptError) versions.set(Key, err.version);
+    throw err;
+  }
+  versions.set(Key, obj ? obj.version : null);
+  if (!obj) return emptyStationCache();
 
   try {
-    const { Body } = await s3.getObject({ Bucket: S3_BUCKET, Key }).promise();
-    const raw = JSON.parse(Body.toString());
-    return raw;
+    return upgradeStationCache(obj.data, Key);
   } catch (err) {
-    if (err.code === 'NoSuchKey' || err.code === 'NotFound') {
-      return {};
-    }
+    if (err instanceof CacheCorruptError) err.version = obj.version;
     throw err;
   }
 }
 
 export async function saveCacheFor(userName, cache) {
   const Key = `${userName}_stationOfflineCache.json`;
-  await s3.putObject({
-    Bucket:      S3_BUCKET,
-    Key,
-    Body:        JSON.stringify(cache, null, 2),
-    ContentType: 'application/json',
-  }).promise();
+  const data = { ...cache, schemaVersion: CACHE_SCHEMA_VERSION, updatedAt: Date.now() };
+  const version = await getCacheStore().write(Key, data, versions.get(Key));
+  versions.set(Key, version);
+}
+
+// Keep a copy of an unreadable cache next to it before a fresh one replaces it
+export async function quarantineCacheFor(userName, err, now = Date.now()) {
+  const Key = `${userName}_stationOfflineCache.corrupt-${new Date(now).toISOString().replace(/[:.]/g, '-')}.json`;
+  await getCacheStore().write(Key, { quarantinedAt: now, reason: err.message, body: err.body }, null);
+  return Key;
+}
+
+// Maintenance silences live in their own object next to the station cache, since
+// they're written by operators as well as by runs
+function silencesKey(userName) {
+  return `${userName}_silences.json`;
+}
+
+export async function loadSilencesFor(userName) {
+  const obj = await getCacheStore().read(silencesKey(userName));
+  return obj ? obj.data.silences : [];
+}
+
+// Read-modify-write a list kept under `field` of a JSON object, retrying if another
+// writer got in first
+async function updateList(Key, field, update, attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    const obj = await getCacheStore().read(Key);
+    const list = update(obj ? obj.data[field] : []);
+    try {
+      await getCacheStore().write(Key, { [field]: list }, obj ? obj.version : null);
+      return list;
+    } catch (err) {
+      if (!(err instanceof CacheConflictError) || attempt >= attempts) throw err;
+    }
+  }
+}
+
+export async function updateSilencesFor(userName, update) {
+  return updateList(silencesKey(userName), 'silences', update);
+}
+
+// The incident log is append-only and split into one object per UTC month, so
+// appends stay small and history queries only read the months they cover
+function incidentsKey(userName, month) {
+  return `${userName}_incidents_${month}.json`;
+}
+
+function incidentMonth(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
+
+export async function appendIncidentsFor(userName, events) {
+  const byMonth = new Map();
+  for (const event of events) {
+    const month = incidentMonth(event.time);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(event);
+  }
+  for (const [month, monthEvents] of byMonth) {
+    await updateList(incidentsKey(userName, month), 'events', existing => [...existing, ...monthEvents]);
+  }
+}
+
+export async function loadIncidentsFor(userName, from, to) {
+  const events = [];
+  const cursor = new Date(Date.UTC(new Date(from).getUTCFullYear(), new Date(from).getUTCMonth(), 1));
+  while (cursor.getTime() <= to) {
+    const obj = await getCacheStore().read(incidentsKey(userName, incidentMonth(cursor.getTime())));
+    if (obj) events.push(...obj.data.events);
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return events.filter(event => event.time >= from && event.time <= to);
+}
+
+// Uptime report files, kept in the cache backend under reports/ so Lambda runs
+// (which can't write to their own directory) keep them
+export async function saveReportFor(fileName, text, contentType) {
+  const Key = `reports/${fileName}`;
+  await getCacheStore().writeText(Key, text, contentType);
+  return Key;
+}
+
+// The monitor's own heartbeat, for the dead-man check at the start of every run
+const HEARTBEAT_KEY = '_heartbeat.json';
+
+export async function loadHeartbeat() {
+  const obj = await getCacheStore().read(HEARTBEAT_KEY);
+  return obj ? obj.data : null;
 }
 
-export function buildStationCacheEntry(statuses, isOffline) {
-  const entry = { offline: isOffline };
+export async function saveHeartbeat(heartbeat) {
+  await getCacheStore().write(HEARTBEAT_KEY, heartbeat);
+}
+
+export function stationIds(cache) {
+  return Object.keys(cache.stations);
+}
+
+// Track how many runs in a row the WeatherFlow API has been unreachable for a tenant
+export function buildMonitorEntry(prev = {}, unreachable, now = Date.now()) {
+  const entry = {
+    unreachableRuns: unreachable ? (prev.unreachableRuns || 0) + 1 : 0,
+    degradedAlerted: Boolean(prev.degradedAlerted)
+  };
+  if (unreachable) {
+    entry.unreachableSince = prev.unreachableSince || now;
+  }
+  return entry;
+}
+
+// Build a station's record from this run's diagnostics, carrying forward the
+// consecutive-run counters used to debounce alerts. `offline` and failure records'
+// `failing` always hold the raw state; `offlineAlerted` and `alerted` track what
+// has been alerted on.
+export function buildStationCacheEntry(statuses, isOffline, prevEntry = {}, now = Date.now()) {
+  const entry = {
+    offline: isOffline,
+    offlineRuns: isOffline ? (prevEntry.offlineRuns || 0) + 1 : 0,
+    onlineRuns: isOffline ? 0 : (prevEntry.onlineRuns || 0) + 1,
+    offlineAlerted: Boolean(prevEntry.offlineAlerted),
+    updatedAt: now,
+    devices: {}
+  };
+  // An alerted outage lasts until its recovery is alerted, so a station that comes
+  // back for a run and drops again keeps the original start. `onlineSince` is when
+  // it last came back; processUser turns the two into `lastOutage` on recovery.
+  if (isOffline) {
+    entry.offlineSince = prevEntry.offlineSince || now;
+  } else if (prevEntry.offlineAlerted && prevEntry.offlineSince) {
+    entry.offlineSince = prevEntry.offlineSince;
+    entry.onlineSince = prevEntry.offline ? now : (prevEntry.onlineSince || now);
+  }
+  if (prevEntry.lastOutage) {
+    entry.lastOutage = prevEntry.lastOutage;
+  }
+
   for (const ds of statuses) {
-    const failures = ds.failures.map(f => f.sensor);
-    entry[ds.serial] = {
-      failures,
-      failureCount: failures.length > 0 ? 1 : 0
-    };
+    const prev = prevEntry.devices?.[ds.serial] || {};
+    const prevFailures = prev.failures || {};
+    const failing = ds.failures.map(f => f.sensor);
+    const failures = {};
+    const lastFailure = { ...prev.lastFailure };
+
+    for (const sensor of failing) {
+      const record = prevFailures[sensor]?.failing ? prevFailures[sensor] : null;
+      failures[sensor] = {
+        failing: true,
+        since: record?.since || now,
+        runs: (record?.runs || 0) + 1,
+        alerted: Boolean(prevFailures[sensor]?.alerted),
+        clearRuns: 0
+      };
+    }
+    for (const [sensor, record] of Object.entries(prevFailures)) {
+      if (failing.includes(sensor)) continue;
+      if (record.failing && record.since) {
+        lastFailure[sensor] = { start: record.since, end: now };
+      }
+      // Alerted failures stay until the recovery has been debounced
+      if (record.alerted) {
+        failures[sensor] = {
+          failing: false,
+          since: record.since,
+          runs: 0,
+          alerted: true,
+          clearRuns: (record.failing ? 0 : record.clearRuns) + 1
+        };
+      }
+    }
+
+    const device = { deviceType: ds.deviceType, updatedAt: now, failures, lastFailure };
+    entry.devices[ds.serial] = device;
+
+    const warnings = ds.warnings.map(w => w.key);
+    const warningSince = {};
+    for (const key of warnings) {
+      warningSince[key] = prev.warningSince?.[key] || now;
+    }
+    Object.assign(device, {
+      warnings,
+      warningSince,
+      warningAlerted: [...(prev.warningAlerted || [])]
+    });
+
+    // Suspected stuck sensors; null means the check couldn't run, and undefined that it
+    // wasn't run (the station is offline), so keep the last result
+    const suspects = ds.suspects === null || ds.suspects === undefined
+      ? (prev.suspects || [])
+      : ds.suspects.map(s => s.sensor);
+    Object.assign(device, {
+      suspects,
+      suspectAlerted: [...(prev.suspectAlerted || [])]
+    });
+
+    // Stale devices are tracked like offline stations; null means the last observation
+    // couldn't be read, and undefined that it wasn't checked (the station is offline),
+    // so keep the last result rather than count it as fresh
+    if (ds.stale === null || ds.stale === undefined) {
+      Object.assign(device, {
+        lastObservation: prev.lastObservation ?? null,
+        stale: Boolean(prev.stale),
+        staleRuns: prev.staleRuns || 0,
+        freshRuns: prev.freshRuns || 0,
+        staleAlerted: Boolean(prev.staleAlerted)
+      });
+      if (prev.staleSince) {
+        device.staleSince = prev.staleSince;
+      }
+    } else {
+      Object.assign(device, {
+        lastObservation: ds.lastObservation ?? null,
+        stale: Boolean(ds.stale),
+        staleRuns: ds.stale ? (prev.staleRuns || 0) + 1 : 0,
+        freshRuns: ds.stale ? 0 : (prev.freshRuns || 0) + 1,
+        staleAlerted: Boolean(prev.staleAlerted)
+      });
+      if (ds.stale) {
+        device.staleSince = prev.staleSince || now;
+      }
+    }
+
+    Object.assign(device, buildFirmwareState(ds.firmware, prev, now));
+
+    if (ds.hub) {
+      Object.assign(device, buildHubState(ds.hub, prev));
+    }
+
+    if (ds.powerMode) {
+      Object.assign(device, {
+        powerMode: ds.powerMode,
+        powerModeLevel: ds.powerModeLevel,
+        powerBooster: ds.powerBooster,
+        batteryVoltage: ds.batteryVoltage,
+        powerAlerted: Boolean(prev.powerAlerted)
+      });
+    }
   }
   return entry;
-}
\ No newline at end of file
+}
+
+// Track a device's firmware revision and when it was first seen. A revision the
+// API leaves out keeps the last known one. `firmwareChangeAlerted` goes false when
+// a known revision changes, so the change is alerted on even if the station was
+// offline at the time; a device's first revision isn't a change.
+function buildFirmwareState(reported, prev, now) {
+  const firmware = reported ?? prev.firmware ?? null;
+  const changed = firmware !== null && prev.firmware != null && String(firmware) !== String(prev.firmware);
+  return {
+    firmware,
+    firmwareSince: changed || prev.firmwareSince == null ? (firmware !== null ? now : null) : prev.firmwareSince,
+    previousFirmware: changed ? prev.firmware : prev.previousFirmware ?? null,
+    firmwareChangeAlerted: changed ? false : prev.firmwareChangeAlerted ?? true,
+    firmwareOutdatedAlerted: Boolean(prev.firmwareOutdatedAlerted)
+  };
+}
+
+// Work out how often a hub has rebooted since the last run, from its reboot
+// counter if the API reports one, otherwise from its uptime going backwards.
+// `loopReboots` adds up reboots across consecutive runs that each saw one.
+function buildHubState(hub, prev) {
+  let reboots = 0;
+  if (hub.rebootCount !== null && typeof prev.rebootCount === 'number') {
+    reboots = Math.max(0, hub.rebootCount - prev.rebootCount);
+  } else if (hub.uptime !== null && typeof prev.uptime === 'number' && hub.uptime < prev.uptime) {
+    reboots = 1;
+  }
+
+  return {
+    ...hub,
+    rebootsSinceLastRun: reboots,
+    loopReboots: reboots > 0 ? (prev.loopReboots || 0) + reboots : 0,
+    rebootAlerted: Boolean(prev.rebootAlerted),
+    signalAlerted: Boolean(prev.signalAlerted)
+  };
+}
+
+// Record failures reported as part of an offline alert so they aren't re-alerted
+// as new sensor failures when the station comes back
+export function markFailuresAlerted(entry, statuses) {
+  for (const ds of statuses) {
+    const device = entry.devices[ds.serial];
+    if (!device) continue;
+    for (const f of ds.failures) {
+      if (device.failures[f.sensor]) {
+        device.failures[f.sensor].alerted = true;
+      }
+    }
+  }
+}
@@ -0,0 +1,170 @@
+import { CacheCorruptError } from './cacheStores.js';
+
+// Station cache format, one object per tenant (`${tenant}_stationOfflineCache.json`).
+// All times are epoch ms.
+//
+//   {
+//     schemaVersion: 2,
+//     updatedAt,                          // when the file was last saved
+//     monitor: { unreachableRuns, degradedAlerted, unreachableSince? },
+//     stations: {
+//       [stationId]: {
+//         offline, offlineRuns, onlineRuns, offlineAlerted,
+//         offlineSince?, onlineSince?, lastOutage?: { start, end },
+//         updatedAt,                      // last run that got diagnostics for it
+//         devices: {
+//           [serial]: {
+//             deviceType, updatedAt,
+//             failures: { [sensor]: { failing, since, runs, alerted, clearRuns } },
+//             lastFailure: { [sensor]: { start, end } },
+//             warnings, warningSince, warningAlerted, suspects, suspectAlerted,
+//             lastObservation, stale, staleRuns, freshRuns, staleAlerted, staleSince?,
+//             firmware, firmwareSince, previousFirmware, firmwareChangeAlerted, firmwareOutdatedAlerted,
+//             ...hub state (HB) or power state (ST)
+//           }
+//         }
+//       }
+//     }
+//   }
+//
+// A failure record exists while the sensor is failing (`runs` consecutive runs
+// since `since`), and after it clears for as long as its alert is waiting out the
+// recovery debounce (`failing: false`, `clearRuns` runs clear so far).
+//
+// Version 1 was the original flat layout: station IDs at the top level with
+// device serials mixed in among the station's own fields, parallel
+// failures/failureRuns/failureSince/alerted/clearRuns per device, and tenant
+// state under `_monitor`. Files without a schemaVersion are version 1 and are
+// migrated on load; the next save writes the current version.
+
+export const CACHE_SCHEMA_VERSION = 2;
+
+// The file was written by a newer monitor; overwriting it would throw its state away
+export class CacheVersionError extends Error {
+  constructor(key, version) {
+    super(`Cache object ${key} has schema version ${JSON.stringify(version)}; this monitor reads up to ${CACHE_SCHEMA_VERSION}`);
+    this.name = 'CacheVersionError';
+    this.key = key;
+    this.version = version;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function emptyStationCache() {
+  return { schemaVersion: CACHE_SCHEMA_VERSION, updatedAt: null, monitor: {}, stations: {} };
+}
+
+// Sensors failing on this run, and sensors with an alert out, for a device record (or undefined)
+export function failingSensors(device) {
+  return Object.keys(device?.failures || {}).filter(sensor => device.failures[sensor].failing);
+}
+
+export function alertedSensors(device) {
+  return Object.keys(device?.failures || {}).filter(sensor => device.failures[sensor].alerted);
+}
+
+const LEGACY_STATION_FIELDS = ['offline', 'offlineRuns', 'onlineRuns', 'offlineAlerted', 'offlineSince', 'lastOutage'];
+
+function migrateDeviceV1(serial, device) {
+  const {
+    failures = [],
+    failureCount,
+    failureRuns = {},
+    failureSince = {},
+    alerted,
+    clearRuns = {},
+    ...rest
+  } = device;
+  // The oldest entries had no `alerted`; their failures were only saved once alerted on
+  const wasAlerted = alerted ?? failures;
+
+  const records = {};
+  for (const sensor of new Set([...failures, ...wasAlerted])) {
+    const failing = failures.includes(sensor);
+    records[sensor] = {
+      failing,
+      since: failureSince[sensor] ?? null,
+      runs: failing ? failureRuns[sensor] ?? 1 : 0,
+      alerted: wasAlerted.includes(sensor),
+      clearRuns: failing ? 0 : clearRuns[sensor] ?? 0
+    };
+  }
+  return { deviceType: serial.split('-')[0], updatedAt: null, ...rest, failures: records, lastFailure: rest.lastFailure || {} };
+}
+
+function migrateStationV1(entry) {
+  const offline = Boolean(entry.offline);
+  const station = {
+    offline,
+    offlineRuns: entry.offlineRuns ?? (offline ? 1 : 0),
+    onlineRuns: entry.onlineRuns ?? (offline ? 0 : 1),
+    // Before offlineAlerted existed, `offline` was only saved once the alert had gone out
+    offlineAlerted: entry.offlineAlerted ?? offline,
+    updatedAt: null,
+    devices: {}
+  };
+  if (entry.offlineSince) station.offlineSince = entry.offlineSince;
+  if (entry.lastOutage) station.lastOutage = entry.lastOutage;
+
+  for (const [key, value] of Object.entries(entry)) {
+    if (!LEGACY_STATION_FIELDS.includes(key) && isObject(value) && Array.isArray(value.failures)) {
+      station.devices[key] = migrateDeviceV1(key, value);
+    }
+  }
+  return station;
+}
+
+function migrateV1(data, key) {
+  const cache = emptyStationCache();
+  for (const [id, entry] of Object.entries(data)) {
+    if (id === '_monitor') {
+      cache.monitor = isObject(entry) ? entry : {};
+    } else if (isObject(entry)) {
+      cache.stations[id] = migrateStationV1(entry);
+    } else {
+      throw new CacheCorruptError(key, `station ${id} is not an object`, { body: data });
+    }
+  }
+  return cache;
+}
+
+function validate(cache, key) {
+  const fail = reason => {
+    throw new CacheCorruptError(key, reason, { body: cache });
+  };
+
+  if (!isObject(cache.stations)) fail('`stations` is not an object');
+  if (!isObject(cache.monitor)) fail('`monitor` is not an object');
+  for (const [id, station] of Object.entries(cache.stations)) {
+    if (!isObject(station) || typeof station.offline !== 'boolean' || !isObject(station.devices)) {
+      fail(`station ${id} is not a station record`);
+    }
+    for (const [serial, device] of Object.entries(station.devices)) {
+      if (!isObject(device) || !isObject(device.failures)) {
+        fail(`device ${serial} on station ${id} is not a device record`);
+      }
+      for (const [sensor, record] of Object.entries(device.failures)) {
+        if (!isObject(record) || typeof record.failing !== 'boolean' || typeof record.alerted !== 'boolean') {
+          fail(`failure ${sensor} on device ${serial} is not a failure record`);
+        }
+      }
+    }
+  }
+}
+
+// Bring a stored cache up to the current version, or explain why it can't be used
+export function upgradeStationCache(data, key) {
+  if (!isObject(data)) {
+    throw new CacheCorruptError(key, 'not a JSON object', { body: data });
+  }
+
+  const version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1 || version > CACHE_SCHEMA_VERSION) {
+    throw new CacheVersionError(key, data.schemaVersion);
+  }
+
+  const cache = version === 1 ? migrateV1(data, key) : data;
+  validate(cache, key);
+  return cache;
+}
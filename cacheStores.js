@@ -0,0 +1,200 @@
+import AWS from 'aws-sdk';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Every store keeps JSON documents under a string key and hands back an opaque
+// `version` with each read. Passing that version to write() makes the write
+// conditional: it fails with CacheConflictError if someone else wrote the key
+// in between. A version of null means "only write if the key doesn't exist yet".
+// writeText() stores a plain text document (a report) unconditionally.
+
+export class CacheConflictError extends Error {
+  constructor(key) {
+    super(`Cache object ${key} was modified by another run`);
+    this.name = 'CacheConflictError';
+    this.key = key;
+  }
+}
+
+// A stored object that can't be used: not valid JSON, or not in a shape its
+// reader understands. `body` (raw text or parsed data) and `version` let the
+// caller set it aside and replace it.
+export class CacheCorruptError extends Error {
+  constructor(key, reason, { body = null, version = undefined } = {}) {
+    super(`Cache object ${key} is corrupt: ${reason}`);
+    this.name = 'CacheCorruptError';
+    this.key = key;
+    this.body = body;
+    this.version = version;
+  }
+}
+
+function parseBody(key, body, version) {
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw new CacheCorruptError(key, `not valid JSON (${err.message})`, { body, version });
+  }
+}
+
+export class S3CacheStore {
+  constructor({ bucket, region, accessKeyId, secretAccessKey }) {
+    this.bucket = bucket;
+    this.s3 = new AWS.S3({
+      region,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  async read(key) {
+    try {
+      const { Body, ETag } = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+      return { data: parseBody(key, Body.toString(), ETag), version: ETag };
+    } catch (err) {
+      if (err.code === 'NoSuchKey' || err.code === 'NotFound') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async write(key, data, version) {
+    const params = {
+      Bucket:      this.bucket,
+      Key:         key,
+      Body:        JSON.stringify(data, null, 2),
+      ContentType: 'application/json',
+    };
+    if (version === null) {
+      params.IfNoneMatch = '*';
+    }
+
+    const req = this.s3.putObject(params);
+    if (version) {
+      // The v2 SDK model doesn't know about If-Match on PutObject yet
+      req.on('build', () => {
+        req.httpRequest.headers['If-Match'] = version;
+      });
+    }
+
+    try {
+      const { ETag } = await req.promise();
+      return ETag;
+    } catch (err) {
+      if (err.code === 'PreconditionFailed' || err.code === 'ConditionalRequestConflict' || err.statusCode === 412) {
+        throw new CacheConflictError(key);
+      }
+      throw err;
+    }
+  }
+
+  async writeText(key, text, contentType) {
+    await this.s3.putObject({ Bucket: this.bucket, Key: key, Body: text, ContentType: contentType }).promise();
+  }
+}
+
+export class LocalCacheStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  _path(key) {
+    return path.join(this.dir, key);
+  }
+
+  _hash(body) {
+    return crypto.createHash('sha1').update(body).digest('hex');
+  }
+
+  async _readRaw(key) {
+    try {
+      return await fs.readFile(this._path(key), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async read(key) {
+    const body = await this._readRaw(key);
+    if (body === null) return null;
+    const version = this._hash(body);
+    return { data: parseBody(key, body, version), version };
+  }
+
+  async write(key, data, version) {
+    if (version !== undefined) {
+      const current = await this._readRaw(key);
+      const currentVersion = current === null ? null : this._hash(current);
+      if (currentVersion !== version) {
+        throw new CacheConflictError(key);
+      }
+    }
+
+    const body = JSON.stringify(data, null, 2);
+    const file = this._path(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tmp, body);
+    await fs.rename(tmp, file);
+    return this._hash(body);
+  }
+
+  async writeText(key, text) {
+    const file = this._path(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text);
+  }
+}
+
+export class MemoryCacheStore {
+  constructor() {
+    this.objects = new Map();
+    this.nextVersion = 1;
+  }
+
+  async read(key) {
+    const obj = this.objects.get(key);
+    return obj ? { data: parseBody(key, obj.body, obj.version), version: obj.version } : null;
+  }
+
+  async write(key, data, version) {
+    if (version !== undefined) {
+      const currentVersion = this.objects.has(key) ? this.objects.get(key).version : null;
+      if (currentVersion !== version) {
+        throw new CacheConflictError(key);
+      }
+    }
+
+    const obj = { body: JSON.stringify(data), version: String(this.nextVersion++) };
+    this.objects.set(key, obj);
+    return obj.version;
+  }
+
+  async writeText(key, text) {
+    this.objects.set(key, { body: text, version: String(this.nextVersion++) });
+  }
+}
+
+export function createCacheStore(config) {
+  const backend = config.CACHE_BACKEND || 's3';
+
+  switch (backend) {
+    case 's3':
+      return new S3CacheStore({
+        bucket:          config.S3_BUCKET,
+        region:          config.AWS_REGION,
+        accessKeyId:     config.AWS_ACCESS_KEY_ID,
+        secretAccessKey: config.AWS_SECRET_ACCESS_KEY,
+      });
+    case 'local':
+      return new LocalCacheStore({ dir: config.CACHE_DIR || 'cache' });
+    case 'memory':
+      return new MemoryCacheStore();
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected s3, local or memory)`);
+  }
+}
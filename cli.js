@@ -0,0 +1,217 @@
+import config from './config.json' with { type: 'json' };
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DeviceStatus from './DeviceStatus.js';
+import { DEVICE_REGISTRY } from './deviceRegistry.js';
+import { processUser } from './index.js';
+import { loadTenants } from './tenants.js';
+import { loadCacheFor, saveCacheFor, stationIds } from './cache.js';
+import { CacheCorruptError } from './cacheStores.js';
+import { emptyStationCache, upgradeStationCache } from './cacheSchema.js';
+import { ConsoleNotifier } from './notifiers.js';
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  check --tenant NAME [--station ID] [--dry-run]   Check a tenant (or one of its stations)
+  cache show --tenant NAME [--station ID]          Print a tenant's station cache
+  cache reset --tenant NAME [--station ID] --yes   Delete a station's entry, or the whole cache
+  cache edit --tenant NAME                         Edit a tenant's station cache in $EDITOR
+  decode STATUS [--type ST|AR|SK] [--firmware N]   Decode a raw sensor_status bitmask
+
+Options:
+  --json     Print JSON instead of a table
+  --dry-run  Print alerts instead of sending them; nothing is saved or emitted`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--tenant':   options.tenant = argv[++i]; break;
+      case '--station':  options.station = argv[++i]; break;
+      case '--type':     options.type = argv[++i]; break;
+      case '--firmware': options.firmware = argv[++i]; break;
+      case '--dry-run':  options.dryRun = true; break;
+      case '--json':     options.json = true; break;
+      case '--yes':      options.yes = true; break;
+      default:
+        if (argv[i].startsWith('--')) throw new UsageError(`Unknown option ${argv[i]}`);
+        options.positional.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+function findTenant(name) {
+  if (!name) throw new UsageError('--tenant is required');
+  const tenant = loadTenants(config).find(t => t.name === name);
+  if (!tenant) throw new UsageError(`Unknown tenant "${name}"`);
+  return tenant;
+}
+
+// Plain fixed-width table; cells are joined lists or strings
+function printTable(rows, columns) {
+  const text = rows.map(row => columns.map(col => {
+    const value = row[col] ?? '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }));
+  const widths = columns.map((col, i) => Math.max(col.length, ...text.map(cells => cells[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  for (const cells of text) console.log(line(cells));
+}
+
+async function check(options) {
+  const tenant = findTenant(options.tenant);
+  const alerts = [];
+  const notifier = options.dryRun
+    ? new ConsoleNotifier(message => (options.json ? alerts.push(message) : console.log(`[dry run] ${message}`)))
+    : null;
+
+  const runDigests = new Map();
+  const result = await processUser(tenant, runDigests, { dryRun: options.dryRun, stationId: options.station, notifier });
+  // Run-wide digests are normally posted by checkAll once every tenant is done
+  for (const digest of runDigests.values()) {
+    await digest.flush();
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(options.dryRun ? { ...result, alerts } : result, null, 2));
+  } else {
+    printTable(result.stations, ['stationId', 'stationName', 'state', 'failures', 'stale', 'suspects', 'powerModes']);
+  }
+}
+
+async function cacheCommand(options) {
+  const [, action] = options.positional;
+  const tenant = findTenant(options.tenant);
+  let cache;
+  try {
+    cache = await loadCacheFor(tenant.name);
+  } catch (err) {
+    // A corrupt cache can still be reset as a whole; everything else needs it readable
+    if (!(err instanceof CacheCorruptError && action === 'reset' && !options.station)) throw err;
+    cache = emptyStationCache();
+  }
+
+  switch (action) {
+    case 'show': {
+      const shown = options.station ? { [options.station]: cache.stations[options.station] ?? null } : cache;
+      if (options.json || options.station) {
+        console.log(JSON.stringify(shown, null, 2));
+        return;
+      }
+      printTable(stationIds(cache).map(id => ({
+        station: id,
+        offline: cache.stations[id].offline,
+        offlineRuns: cache.stations[id].offlineRuns,
+        offlineAlerted: cache.stations[id].offlineAlerted,
+        devices: Object.keys(cache.stations[id].devices)
+      })), ['station', 'offline', 'offlineRuns', 'offlineAlerted', 'devices']);
+      return;
+    }
+
+    case 'reset': {
+      const what = options.station ? `station ${options.station} from ${tenant.name}'s cache` : `${tenant.name}'s whole cache`;
+      if (!options.yes) {
+        throw new Error(`This removes ${what}; pass --yes to confirm`);
+      }
+      if (options.station) {
+        delete cache.stations[options.station];
+        await saveCacheFor(tenant.name, cache);
+      } else {
+        await saveCacheFor(tenant.name, emptyStationCache());
+      }
+      console.log(`Removed ${what}`);
+      return;
+    }
+
+    case 'edit': {
+      const file = path.join(os.tmpdir(), `${tenant.name}_stationOfflineCache.${process.pid}.json`);
+      await fs.writeFile(file, JSON.stringify(cache, null, 2));
+      const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+      try {
+        const { status } = spawnSync(editor, [file], { stdio: 'inherit' });
+        if (status !== 0) throw new Error(`${editor} exited with status ${status}; cache not saved`);
+
+        // Rejects anything the next run couldn't load, with the reason
+        const edited = upgradeStationCache(JSON.parse(await fs.readFile(file, 'utf8')), 'edited cache');
+        // Saves conditionally on the version loaded above, so a run in between isn't overwritten
+        await saveCacheFor(tenant.name, edited);
+        console.log(`Saved ${tenant.name}'s cache (${stationIds(edited).length} stations)`);
+      } finally {
+        await fs.rm(file, { force: true });
+      }
+      return;
+    }
+
+    default:
+      throw new UsageError(`Unknown cache command "${action}" (expected show, reset or edit)`);
+  }
+}
+
+function decode(options) {
+  const [, value] = options.positional;
+  const raw = Number(value);
+  if (value === undefined || !Number.isInteger(raw) || raw < 0) {
+    throw new UsageError('decode needs a non-negative sensor_status, e.g. 0x40 or 64');
+  }
+  const type = options.type || 'ST';
+  const sensorTypes = Object.keys(DEVICE_REGISTRY.deviceTypes).filter(t => !DEVICE_REGISTRY.deviceTypes[t].hub);
+  if (!sensorTypes.includes(type)) {
+    throw new UsageError(`--type must be one of ${sensorTypes.join(', ')}`);
+  }
+
+  const flags = Object.entries(DeviceStatus.SENSOR_STATUS_FLAGS)
+    .filter(([, flag]) => flag !== 0 && (raw & flag) === flag)
+    .map(([name]) => name);
+  const [ds] = DeviceStatus.processDevices([
+    { device_id: 0, serial_number: `${type}-CLI`, sensor_status: raw, firmware_revision: options.firmware !== undefined ? Number(options.firmware) : null }
+  ]);
+  const decoded = {
+    sensor_status: raw,
+    hex: `0x${raw.toString(16).padStart(8, '0')}`,
+    deviceType: type,
+    flags,
+    status: ds.sensorStatus,
+    failures: ds.failures.map(f => f.sensor),
+    warnings: ds.warnings.map(w => `${w.sensor}: ${w.reason}`),
+    powerMode: ds.powerMode,
+    powerBooster: ds.powerBooster
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(decoded, null, 2));
+    return;
+  }
+  for (const [key, val] of Object.entries(decoded)) {
+    console.log(`${key.padEnd(14)} ${Array.isArray(val) ? val.join(', ') || '-' : val ?? '-'}`);
+  }
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  switch (options.positional[0]) {
+    case 'check':  return check(options);
+    case 'cache':  return cacheCommand(options);
+    case 'decode': return decode(options);
+    default:
+      throw new UsageError(options.positional[0] ? `Unknown command "${options.positional[0]}"` : 'No command given');
+  }
+}
+
+try {
+  await main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  if (err instanceof UsageError) {
+    console.error(`\n${USAGE}`);
+  }
+  process.exitCode = 1;
+}
@@ -0,0 +1,11 @@
+export const GROUP_BASE_URL = 'https://swd.weatherflow.com/swd/rest';
+
+export const SENSOR_KEYS = [
+  'air_temperature',
+  'rh',
+  'lightning',
+  'wind',
+  'precip',
+  'light_uv',
+  'pressure'
+];
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import { SENSOR_KEYS } from './constants.js';
+
+// Device types, their sensors and the sensor_status bits behind them, read from
+// devices.json. A new device type or firmware flag is a data change there:
+//   flags        flag name -> bit, as a number or a "0x..." string
+//   deviceTypes  serial prefix -> { label, hub?, powerModes?, sensors }
+//   sensors      { label, key?, flags: [{ flag, type?, failedText? }], passedText? }
+// Flag types are "error" (a failure of the sensor `key`), "warning" (alerted as
+// `${key}_${failedText}`, lower-cased) or "normal" (informational). The warning
+// keys, and so the warning metrics, come from here too. `hub` types have no
+// sensors; `powerModes` types report power mode and booster flags.
+
+const DEFAULT_REGISTRY_PATH = new URL('./devices.json', import.meta.url);
+
+const FLAG_TYPES = ['error', 'warning', 'normal'];
+// Warning text ends up in metric names, so it is kept to letters and digits
+const WARNING_TEXT_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+const POWER_MODE_FLAGS = ['LOW_POWER_MODE1', 'LOW_POWER_MODE2', 'LOW_POWER_MODE3'];
+export const POWER_BOOSTER_LABEL = 'Power Booster';
+
+export class DeviceRegistryError extends Error {
+  constructor(source, errors) {
+    super(`Invalid device registry ${source}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'DeviceRegistryError';
+    this.errors = errors;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function resolveFlags(flags, errors) {
+  const resolved = {};
+  const names = new Map();
+  for (const [name, value] of Object.entries(flags)) {
+    const bit = typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value) ? Number(value) : value;
+    if (!Number.isInteger(bit) || bit < 0 || bit > 0xffffffff) {
+      errors.push(`flags.${name}: must be a 32-bit value, e.g. "0x00000040"`);
+      continue;
+    }
+    if (bit !== 0 && names.has(bit)) {
+      errors.push(`flags.${name}: duplicate bit ${value} (already ${names.get(bit)})`);
+    }
+    names.set(bit, name);
+    resolved[name] = bit;
+  }
+  return resolved;
+}
+
+function resolveSensor(sensor, where, flags, errors) {
+  if (!isObject(sensor) || typeof sensor.label !== 'string' || !Array.isArray(sensor.flags)) {
+    errors.push(`${where}: must be an object with a label and a flags array`);
+    return null;
+  }
+
+  const sensorFlags = sensor.flags.map((f, i) => {
+    const at = `${where}.flags[${i}]`;
+    if (!isObject(f) || !(f.flag in flags)) {
+      errors.push(`${at}: unknown flag "${f?.flag}"`);
+      return null;
+    }
+    if (f.type !== undefined && !FLAG_TYPES.includes(f.type)) {
+      errors.push(`${at}: type must be one of ${FLAG_TYPES.join(', ')}`);
+    }
+    if (['error', 'warning'].includes(f.type) && !SENSOR_KEYS.includes(sensor.key)) {
+      errors.push(`${at}: ${f.type} flags need a sensor key from SENSOR_KEYS (${SENSOR_KEYS.join(', ')}), got "${sensor.key}"`);
+    }
+    if (f.type === 'warning' && (typeof f.failedText !== 'string' || !WARNING_TEXT_PATTERN.test(f.failedText))) {
+      errors.push(`${at}: warning flags need a failedText of letters and digits, e.g. "Noise"`);
+    }
+    return { ...f, name: f.flag, flag: flags[f.flag] };
+  });
+
+  return { ...sensor, flags: sensorFlags.filter(Boolean) };
+}
+
+function warningKeysOf(sensor) {
+  return sensor.flags
+    .filter(f => f.type === 'warning' && typeof f.failedText === 'string')
+    .map(f => `${sensor.key}_${f.failedText.toLowerCase()}`);
+}
+
+function resolveDeviceType(type, definition, flags, errors) {
+  const where = `deviceTypes.${type}`;
+  if (!isObject(definition) || !Array.isArray(definition.sensors)) {
+    errors.push(`${where}: must be an object with a sensors array`);
+    return null;
+  }
+
+  const keys = new Set();
+  const warnings = new Set();
+  const sensors = [];
+  definition.sensors.forEach((raw, i) => {
+    const sensor = resolveSensor(raw, `${where}.sensors[${i}]`, flags, errors);
+    if (!sensor) return;
+    if (sensor.key !== undefined) {
+      if (keys.has(sensor.key)) {
+        errors.push(`${where}.sensors[${i}]: duplicate sensor key "${sensor.key}"`);
+      }
+      keys.add(sensor.key);
+    }
+    for (const key of warningKeysOf(sensor)) {
+      if (warnings.has(key)) {
+        errors.push(`${where}.sensors[${i}]: duplicate warning "${key}"`);
+      }
+      warnings.add(key);
+    }
+    sensors.push(sensor);
+  });
+
+  if (definition.hub && sensors.length) {
+    errors.push(`${where}: hub types can't have sensors`);
+  }
+  if (definition.powerModes) {
+    if (!sensors.some(s => s.label === POWER_BOOSTER_LABEL)) {
+      errors.push(`${where}: powerModes types need a "${POWER_BOOSTER_LABEL}" sensor`);
+    }
+    for (const name of POWER_MODE_FLAGS.filter(name => !(name in flags))) {
+      errors.push(`${where}: powerModes needs the ${name} flag`);
+    }
+  }
+
+  return { ...definition, hub: Boolean(definition.hub), powerModes: Boolean(definition.powerModes), sensors };
+}
+
+// Check a parsed registry and resolve flag names to bits. Every problem is
+// collected so one startup failure lists them all.
+export function validateDeviceRegistry(registry, source = 'devices.json') {
+  if (!isObject(registry) || !isObject(registry.flags) || !isObject(registry.deviceTypes)) {
+    throw new DeviceRegistryError(source, ['expected an object with "flags" and "deviceTypes" objects']);
+  }
+
+  const errors = [];
+  const flags = resolveFlags(registry.flags, errors);
+  const deviceTypes = {};
+  for (const [type, definition] of Object.entries(registry.deviceTypes)) {
+    if (!/^[A-Z]{2}$/.test(type)) {
+      errors.push(`deviceTypes.${type}: device types are the two-letter serial prefix, e.g. "ST"`);
+    }
+    const resolved = resolveDeviceType(type, definition, flags, errors);
+    if (resolved) deviceTypes[type] = resolved;
+  }
+
+  if (errors.length) {
+    throw new DeviceRegistryError(source, errors);
+  }
+  // Every warning any device type can report, e.g. "lightning_noise"
+  const warningKeys = [...new Set(Object.values(deviceTypes).flatMap(t => t.sensors.flatMap(warningKeysOf)))];
+  return { flags, deviceTypes, warningKeys };
+}
+
+export function loadDeviceRegistry(path = DEFAULT_REGISTRY_PATH) {
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new DeviceRegistryError(String(path), [`could not read registry: ${err.message}`]);
+  }
+  return validateDeviceRegistry(registry, String(path));
+}
+
+// Loaded once on import, so a bad registry stops the monitor before its first run
+export const DEVICE_REGISTRY = loadDeviceRegistry();
@@ -0,0 +1,77 @@
+import axios from 'axios';
+import config from './config.json' with { type: 'json' };
+import { recordApiCall } from './telemetry.js';
+
+const DEFAULT_OPTIONS = {
+  timeoutMs:   config.HTTP_TIMEOUT_MS ?? 10000,
+  retries:     config.HTTP_RETRIES ?? 3,
+  baseDelayMs: config.HTTP_RETRY_BASE_MS ?? 500,
+  maxDelayMs:  config.HTTP_RETRY_MAX_MS ?? 30000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts, throttling and server errors are worth another try;
+// anything else (bad API key, unknown station) will fail the same way again
+function isRetryable(err) {
+  if (!err.response) return true;
+  const { status } = err.response;
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(err) {
+  const header = err.response?.headers?.['retry-after'];
+  if (header === undefined) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter, unless a 429 told us how long to wait
+function retryDelayMs(err, attempt, { baseDelayMs, maxDelayMs }) {
+  const requested = err.response?.status === 429 ? retryAfterMs(err) : null;
+  if (requested !== null) return Math.min(requested, maxDelayMs);
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+// GET with a per-request timeout, retrying transient failures
+export async function getWithRetry(url, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    const started = Date.now();
+    try {
+      const resp = await axios.get(url, { timeout: opts.timeoutMs });
+      recordApiCall(url, Date.now() - started, true);
+      return resp;
+    } catch (err) {
+      recordApiCall(url, Date.now() - started, false);
+      if (attempt >= opts.retries || !isRetryable(err)) {
+        throw err;
+      }
+      await sleep(retryDelayMs(err, attempt, opts));
+    }
+  }
+}
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+// Results keep the order of `items`.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
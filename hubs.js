@@ -0,0 +1,38 @@
+// Hub health checks. A hub in a reboot loop or on weak Wi-Fi takes every device
+// behind it offline, so these also feed the root-cause text in offline alerts.
+
+export const HUB_PROBLEM_LABELS = {
+  reboot_loop: 'reboot loop',
+  weak_signal: 'weak Wi-Fi signal'
+};
+
+// `hubEntry` is the hub's device record for this run, built by buildStationCacheEntry
+export function hubProblems(hubEntry, { hubRebootAlertCount, hubWeakRssi }) {
+  const resetReason = hubEntry.resetReason ? `, last reset: ${hubEntry.resetReason}` : '';
+  const problems = {};
+
+  if (hubEntry.loopReboots >= hubRebootAlertCount) {
+    problems.reboot_loop = `is in a reboot loop (${hubEntry.loopReboots} reboots in a row${resetReason})`;
+  }
+  if (hubEntry.rssi !== null && hubEntry.rssi <= hubWeakRssi) {
+    problems.weak_signal = `has a weak Wi-Fi signal (${hubEntry.rssi} dBm)`;
+  }
+  return problems;
+}
+
+// Most likely hub-side cause of a station going offline, or null
+export function hubRootCause(statuses, entry, thresholds) {
+  for (const ds of statuses) {
+    if (!ds.hub) continue;
+    const hubEntry = entry.devices[ds.serial];
+    const problems = hubProblems(hubEntry, thresholds);
+
+    if (problems.reboot_loop) return `hub ${ds.serial} ${problems.reboot_loop}`;
+    if (problems.weak_signal) return `hub ${ds.serial} ${problems.weak_signal}`;
+    if (hubEntry.rebootsSinceLastRun > 0) {
+      const reason = hubEntry.resetReason ? ` (reset: ${hubEntry.resetReason})` : '';
+      return `hub ${ds.serial} rebooted since the last check${reason}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,80 @@
+import { loadIncidentsFor } from './cache.js';
+import { failingSensors } from './cacheSchema.js';
+
+// Every raw offline/online and sensor failure/recovery transition is appended to
+// a per-tenant incident log, independent of alert debouncing and silences:
+//   { time, type, stationId, stationName, serial?, sensor?, since?, durationMs?, from?, to? }
+// `type` is one of INCIDENT_TYPES; recoveries carry when the problem started and
+// how long it lasted, when the cache knew. Firmware changes are logged too, with
+// the old and new revision, so failures can be lined up with firmware rollouts.
+export const INCIDENT_TYPES = ['offline', 'online', 'sensor_failure', 'sensor_recovery', 'firmware_change'];
+
+// "3h 12m", "2d 4h", "45m"
+export function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes === 0) return '<1m';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+function outage(span) {
+  return span ? { since: span.start, durationMs: span.end - span.start } : {};
+}
+
+// Compare a station's previous and new cache entries and return its transitions
+export function stationIncidents(prevEntry, entry, stationId, stationName, sensorKeys, now = Date.now()) {
+  const events = [];
+  const base = { time: now, stationId, stationName };
+
+  if (entry.offline && !prevEntry.offline) {
+    events.push({ ...base, type: 'offline' });
+  } else if (!entry.offline && prevEntry.offline) {
+    events.push({ ...base, type: 'online', ...outage(prevEntry.offlineSince && { start: prevEntry.offlineSince, end: now }) });
+  }
+
+  for (const [serial, device] of Object.entries(entry.devices)) {
+    const before = failingSensors(prevEntry.devices?.[serial]);
+    const after = failingSensors(device);
+
+    for (const sensor of after.filter(s => sensorKeys.includes(s) && !before.includes(s))) {
+      events.push({ ...base, type: 'sensor_failure', serial, sensor });
+    }
+    for (const sensor of before.filter(s => sensorKeys.includes(s) && !after.includes(s))) {
+      events.push({ ...base, type: 'sensor_recovery', serial, sensor, ...outage(device.lastFailure?.[sensor]) });
+    }
+    const prevFirmware = prevEntry.devices?.[serial]?.firmware ?? null;
+    if (prevFirmware !== null && device.firmware != null && String(device.firmware) !== String(prevFirmware)) {
+      events.push({ ...base, type: 'firmware_change', serial, from: prevFirmware, to: device.firmware });
+    }
+  }
+  return events;
+}
+
+// A station's incident history between two times (epoch ms or ISO dates), with
+// totals for quick answers like "how often did it go offline this quarter"
+export async function stationHistory(userName, stationId, { from, to = Date.now() } = {}) {
+  const fromMs = typeof from === 'number' ? from : Date.parse(from);
+  const toMs = typeof to === 'number' ? to : Date.parse(to);
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || toMs < fromMs) {
+    throw new Error(`Invalid history range ${from} - ${to}`);
+  }
+
+  const events = (await loadIncidentsFor(userName, fromMs, toMs))
+    .filter(event => event.stationId === String(stationId))
+    .sort((a, b) => a.time - b.time);
+
+  const recoveries = events.filter(event => event.type === 'online' && event.durationMs !== undefined);
+  return {
+    tenant: userName,
+    stationId: String(stationId),
+    from: fromMs,
+    to: toMs,
+    offlineCount: events.filter(event => event.type === 'offline').length,
+    sensorFailureCount: events.filter(event => event.type === 'sensor_failure').length,
+    offlineMs: recoveries.reduce((sum, event) => sum + event.durationMs, 0),
+    events
+  };
+}
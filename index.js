@@ -1,119 +1,250 @@
-import axios from 'axios';
 import config from './config.json' with { type: 'json' };
+import { fileURLToPath } from 'url';
 import DeviceStatus from './DeviceStatus.js';
-import { loadCacheFor, saveCacheFor, buildStationCacheEntry } from './cache.js';
-import { buildMetricLines, sendMetricsBatch } from './metrics.js';
+import {
+  loadCacheFor,
+  saveCacheFor,
+  buildStationCacheEntry,
+  buildMonitorEntry,
+  markFailuresAlerted,
+  stationIds,
+  loadSilencesFor,
+  appendIncidentsFor,
+  loadHeartbeat,
+  saveHeartbeat,
+  quarantineCacheFor
+} from './cache.js';
+import { CacheCorruptError } from './cacheStores.js';
+import { CacheVersionError, emptyStationCache } from './cacheSchema.js';
+import {
+  buildMetricLines,
+  buildPowerMetricLines,
+  buildWarningMetricLines,
+  buildHubMetricLines,
+  buildFirmwareMetricLines,
+  buildStaleMetricLines,
+  buildSuspectMetricLines,
+  buildFailureStateMetricLines,
+  buildStationMetricLines,
+  buildCacheMetricLines,
+  sendMetricsBatch
+} from './metrics.js';
 import { Slack } from './Slack.js';
+import { buildNotifiers } from './notifiers.js';
+import { loadTenants } from './tenants.js';
+import { GROUP_BASE_URL } from './constants.js';
+import { getWithRetry, mapWithConcurrency } from './http.js';
+import { hubProblems, hubRootCause } from './hubs.js';
+import { markStaleDevices } from './staleness.js';
+import { checkPlausibility } from './plausibility.js';
+import { stationIncidents, stationHistory } from './incidents.js';
+import { runUptimeReports } from './reports.js';
+import { resetTelemetry, recordDeliveryFailure, buildTelemetryMetricLines } from './telemetry.js';
+import { SilencingNotifier, expireSilences, unresolvedProblems, describeScope, handleSilenceEvent } from './silences.js';
+import { logger, startRun } from './logger.js';
 
 const slack = new Slack(config.VIP_SLACK_WEBHOOK_URL);
 
-const {
-  KOOTENAI_API_Key,
-  CPI_API_Key,
-  MOSS_API_Key,
-  CALPINE_API_Key,
-  PROLOGIS_API_Key,
-  ALABAMAPOWER_API_Key,
-  BLACHLY_API_Key,
-  JOEMC_API_Key,
-  BENTON_API_Key
-} = config;
-
-const GROUP_BASE_URL = 'https://swd.weatherflow.com/swd/rest';
 const functionName = 'vip-lambda-julian';
 
-// User definitions
-const USERS = [
-  { name: 'KOOTENAI',      apiKey: KOOTENAI_API_Key,     alertUserIds: ['UQJLHM6LV'], alertsOn: true  },
-  { name: 'CPI',           apiKey: CPI_API_Key,          alertUserIds: ['UQJLHM6LV'], alertsOn: true  },
-  { name: 'MOSS',          apiKey: MOSS_API_Key,         alertUserIds: ['U10DNQSBV'], alertsOn: true  },
-  { name: 'CALPINE',       apiKey: CALPINE_API_Key,      alertUserIds: ['U06DYM1QMNK'], alertsOn: true  },
-  { name: 'PROLOGIS',      apiKey: PROLOGIS_API_Key,     alertsOn: false },
-  { name: 'ALABAMA_POWER', apiKey: ALABAMAPOWER_API_Key, alertsOn: false },
-  { name: 'BLACHLY_LANE',  apiKey: BLACHLY_API_Key,      alertsOn: false },
-  { name: 'JOEMC',         apiKey: JOEMC_API_Key,        alertsOn: false },
-  { name: 'BENTON_REA',    apiKey: BENTON_API_Key,       alertsOn: false }
-];
-
-const SENSOR_KEYS = [
-  'air_temperature',
-  'rh',
-  'lightning',
-  'wind',
-  'precip',
-  'light_uv',
-  'pressure'
-];
-
-// Process one user's stations
-async function processUser({ name, apiKey, alertUserIds, alertsOn }) {
+// How many tenants, and diagnostics requests per tenant, run at once
+const TENANT_CONCURRENCY = config.TENANT_CONCURRENCY ?? 2;
+const STATION_CONCURRENCY = config.STATION_CONCURRENCY ?? 5;
+
+// Minutes after the last completed run before the dead-man alert fires
+const HEARTBEAT_MAX_AGE_MINUTES = config.HEARTBEAT_MAX_AGE_MINUTES ?? 30;
+
+// Tenant definitions, validated at startup
+const USERS = loadTenants(config);
+
+// A device is outdated when it reports a revision below the tenant's minimum for its type
+function firmwareOutdated(deviceType, firmware, minFirmware) {
+  const minimum = minFirmware[deviceType];
+  return minimum !== undefined && firmware !== null && Number(firmware) < minimum;
+}
+
+// Process one user's stations. A dry run prints alerts through `notifier` (if
+// given) and leaves the cache, incident log, silences and metrics untouched;
+// `stationId` limits the check to one station.
+export async function processUser(user, runDigests = new Map(), { dryRun = false, stationId: onlyStation = null, notifier: notifierOverride = null } = {}) {
+  const { name, apiKey, alertUserIds, alertsOn, sensorKeys, thresholds, staleMinutes, minFirmware, plausibility, stationMetrics } = user;
+  const { offlineAlertRuns, failureAlertRuns, recoveryAlertRuns, degradedAlertRuns, lowPowerAlertLevel, warningAlertHours } = thresholds;
   const mentions = slack.buildMentions(alertUserIds);
-  const serialFailureCounts = {};
+  const log = logger.child({ tenant: name });
   const sensorFailureCounts = {};
+  const failureCountsByState = { online: {}, offline: {} };
+  const stationMetricData = [];
+  const powerModeCounts = {};
+  const warningCounts = {};
+  const suspectCounts = {};
+  const incidents = [];
+  const stationResults = [];
+  const hubCounts = { total: 0, rebooted: 0, reboot_loop: 0, weak_signal: 0 };
+  const firmwareCounts = {};
+  const outdatedFirmwareCounts = Object.fromEntries(Object.keys(minFirmware).map(deviceType => [deviceType, 0]));
   let cache = {};
   let newCache = {};
-  let stationsData;
+  let stationsData = null;
 
   // Initialize failure counters
-  for (const key of SENSOR_KEYS) {
+  for (const key of sensorKeys) {
     sensorFailureCounts[key] = 0;
   }
 
   // 1) Fetch stations
   try {
-    const resp = await axios.get(`${GROUP_BASE_URL}/stations?api_key=${apiKey}`);
-    if (resp.status !== 200) {
-      console.warn(`HTTP ${resp.status} fetching ${name} stations`);
-      return 0;
+    const resp = await getWithRetry(`${GROUP_BASE_URL}/stations?api_key=${apiKey}`);
+    if (resp.status === 200 && Array.isArray(resp.data.stations)) {
+      stationsData = resp.data.stations;
+    } else {
+      log.warn('stations_fetch_failed', `HTTP ${resp.status} fetching ${name} stations`, { status: resp.status });
     }
-    stationsData = resp.data.stations;
   } catch (err) {
-    console.warn(`Network error fetching stations for ${name}:`, err.message);
-    return 0;
+    log.warn('stations_fetch_failed', `Network error fetching stations for ${name}`, { error: err });
+  }
+  if (stationsData && onlyStation !== null) {
+    stationsData = stationsData.filter(s => String(s.station_id) === String(onlyStation));
+    if (!stationsData.length) {
+      log.warn('station_not_found', `${name} has no station ${onlyStation}`, { stationId: String(onlyStation) });
+    }
   }
 
   // 2) Load cache
   try {
     cache = await loadCacheFor(name);
   } catch (err) {
-    console.warn(`Could not load cache for ${name}; starting empty:`, err.message);
-    cache = {};
+    if (err instanceof CacheVersionError) {
+      // Written by a newer monitor: leave it alone rather than alerting from, and saving, an empty cache
+      log.error('cache_unknown_version', `${err.message}; skipping ${name} this run`, { error: err });
+      return { tenant: name, offlineCount: 0, unknownCount: 0, stations: [] };
+    }
+    if (!(err instanceof CacheCorruptError)) {
+      // Most likely a storage outage, and the real cache is still there: don't alert from, or save, an empty one
+      log.error('cache_load_failed', `Could not load cache for ${name}; skipping ${name} this run`, { error: err });
+      if (!dryRun) {
+        await sendCacheUnavailableMetric(name, log);
+      }
+      return { tenant: name, offlineCount: 0, unknownCount: 0, stations: [] };
+    }
+    log.error('cache_corrupt', `${err.message}; setting it aside and starting empty`, { error: err });
+    if (!dryRun) {
+      try {
+        const copy = await quarantineCacheFor(name, err);
+        log.warn('cache_quarantined', `Kept the unreadable cache for ${name} as ${copy}`);
+      } catch (quarantineErr) {
+        log.error('cache_quarantine_failed', `Could not keep a copy of the unreadable cache for ${name}`, { error: quarantineErr });
+      }
+    }
+    cache = emptyStationCache();
+  }
+  newCache = { ...cache, stations: { ...cache.stations } };
+
+  // Alerts inside an active maintenance silence are held back
+  let silences = [];
+  try {
+    silences = await loadSilencesFor(name);
+  } catch (err) {
+    log.warn('silences_load_failed', `Could not load silences for ${name}`, { error: err });
   }
-  newCache = { ...cache };
+  const notifier = new SilencingNotifier(notifierOverride || buildNotifiers(user, config, runDigests), silences);
 
   let healthyCount = 0;
   let offlineCount = 0;
+  let unknownCount = 0;
+  let staleStationCount = 0;
+  let staleDeviceCount = 0;
 
-  // 3) Process each station
-  for (const station of stationsData) {
-    const id = String(station.station_id);
-    const stationName = station.name;
-    const prevEntry = cache[id] || {};
-    const wasOffline = prevEntry.offline;
+  // Without a station list every station we knew about is unknown, not healthy
+  const stationsUnavailable = stationsData === null;
+  if (stationsUnavailable) {
+    stationsData = [];
+    unknownCount = stationIds(cache).length;
+  }
 
-    // Fetch diagnostics
-    let statuses = [];
+  // 3) Fetch diagnostics for every station, a few at a time; null means unknown
+  const diagnostics = await mapWithConcurrency(stationsData, STATION_CONCURRENCY, async station => {
+    const id = String(station.station_id);
     try {
-      const dResp = await axios.get(`${GROUP_BASE_URL}/diagnostics/${id}?api_key=${apiKey}`);
+      const dResp = await getWithRetry(`${GROUP_BASE_URL}/diagnostics/${id}?api_key=${apiKey}`);
       if (dResp.status === 200 && Array.isArray(dResp.data.devices)) {
-        statuses = DeviceStatus.processDevices(dResp.data.devices);
+        const statuses = DeviceStatus.processDevices(dResp.data.devices);
+        // Offline stations are already alerted on; staleness and plausibility only matter for online ones
+        if (station.state === 1) {
+          await markStaleDevices(statuses, staleMinutes, apiKey);
+          if (plausibility.enabled) {
+            await checkPlausibility(statuses, plausibility, sensorKeys, apiKey);
+          } else {
+            // Nothing is suspect with the checks off, so earlier suspect alerts clear
+            for (const ds of statuses) ds.suspects = [];
+          }
+        }
+        return statuses;
       }
+      log.warn('diagnostics_fetch_failed', `HTTP ${dResp.status} fetching diagnostics for station ${id}`, { stationId: id, status: dResp.status });
     } catch (err) {
-      console.warn(`Error fetching diagnostics for station ${id}:`, err.message);
+      log.warn('diagnostics_fetch_failed', `Error fetching diagnostics for station ${id}`, { stationId: id, error: err });
     }
+    return null;
+  });
 
-    // Identify failures
-    const failuresOnly = statuses.filter(ds => ds.sensorStatus === 'failure');
-    const currentFailures = failuresOnly.flatMap(ds => ds.failures.map(f => f.sensor));
-    const failedSerials = new Set(failuresOnly.map(ds => ds.serial));
+  // 4) Process each station in order
+  for (const [i, station] of stationsData.entries()) {
+    const id = String(station.station_id);
+    const stationName = station.name;
+    const prevEntry = cache.stations[id] || {};
+    const statuses = diagnostics[i];
 
-    // Count serial failures once per device
-    for (const serial of failedSerials) {
-      serialFailureCounts[serial] = (serialFailureCounts[serial] || 0) + 1;
+    // Unknown: keep the previous cache entry and hold off on any alerts
+    if (statuses === null) {
+      unknownCount++;
+      stationResults.push({ stationId: id, stationName, state: 'unknown' });
+      continue;
     }
 
+    // Identify failures on the sensors this tenant monitors
+    const failuresOnly = statuses
+      .filter(ds => ds.sensorStatus === 'failure')
+      .map(ds => ({ ...ds, failures: ds.failures.filter(f => sensorKeys.includes(f.sensor)) }))
+      .filter(ds => ds.failures.length);
+    const currentFailures = failuresOnly.flatMap(ds => ds.failures.map(f => f.sensor));
     const isOffline = station.state !== 1;
 
+    // Failures by station state, and the per-station/per-device detail for optional series
+    const stateCounts = failureCountsByState[isOffline ? 'offline' : 'online'];
+    for (const sensor of currentFailures) {
+      stateCounts[sensor] = (stateCounts[sensor] || 0) + 1;
+    }
+    stationMetricData.push({
+      stationId: id,
+      offline: isOffline,
+      failedSensors: [...new Set(currentFailures)],
+      devices: statuses.map(ds => ({
+        serial: ds.serial,
+        failedSensors: ds.failures.map(f => f.sensor).filter(sensor => sensorKeys.includes(sensor))
+      }))
+    });
+
+    // Count devices in each power mode, on each firmware revision, and each warning on a monitored sensor
+    for (const ds of statuses) {
+      const revisions = firmwareCounts[ds.deviceType] ||= {};
+      const revision = ds.firmware ?? 'unknown';
+      revisions[revision] = (revisions[revision] || 0) + 1;
+      if (firmwareOutdated(ds.deviceType, ds.firmware, minFirmware)) {
+        outdatedFirmwareCounts[ds.deviceType]++;
+      }
+      if (ds.powerModeLevel !== null) {
+        powerModeCounts[ds.powerModeLevel] = (powerModeCounts[ds.powerModeLevel] || 0) + 1;
+      }
+      for (const s of (ds.suspects || []).filter(s => sensorKeys.includes(s.sensor))) {
+        suspectCounts[s.sensor] = (suspectCounts[s.sensor] || 0) + 1;
+      }
+      for (const w of ds.warnings) {
+        if (sensorKeys.includes(w.sensor)) {
+          warningCounts[w.key] = (warningCounts[w.key] || 0) + 1;
+        }
+      }
+    }
+
     // Count sensor failures for offline stations
     if (isOffline) {
       for (const ds of failuresOnly) {
@@ -129,69 +260,282 @@ async function processUser({ name, apiKey, alertUserIds, alertsOn }) {
       healthyCount++;
     }
 
-    // A) Unhealthy but online
-    if (!isOffline && currentFailures.length) {
-      newCache[id] = buildStationCacheEntry(statuses, isOffline);
-      const oldFailures = Array.isArray(prevEntry.failures)
-        ? prevEntry.failures
-        : Object.values(prevEntry)
-            .filter(v => v.failures)
-            .flatMap(v => v.failures);
-      const newFailures = currentFailures.filter(s => !oldFailures.includes(s));
-
-      if (alertsOn && newFailures.length) {
-        const deviceFailuresMap = {};
-        for (const ds of failuresOnly) {
-          const newDeviceFailures = ds.failures
-            .map(f => f.sensor)
-            .filter(sensor => newFailures.includes(sensor));
-          if (newDeviceFailures.length) {
-            deviceFailuresMap[ds.serial] = newDeviceFailures;
+    const entry = buildStationCacheEntry(statuses, isOffline, prevEntry);
+    newCache.stations[id] = entry;
+    incidents.push(...stationIncidents(prevEntry, entry, id, stationName, sensorKeys));
+    stationResults.push({
+      stationId: id,
+      stationName,
+      state: isOffline ? 'offline' : 'online',
+      failures: [...new Set(currentFailures)],
+      stale: statuses.filter(ds => ds.stale).map(ds => ds.serial),
+      suspects: statuses.flatMap(ds => (ds.suspects || []).filter(s => sensorKeys.includes(s.sensor)).map(s => `${ds.serial} ${s.sensor}`)),
+      powerModes: statuses.filter(ds => ds.powerModeLevel > 0).map(ds => `${ds.serial} ${ds.powerMode}`)
+    });
+
+    // Count stale devices, and stations with any
+    const staleDevices = statuses.filter(ds => ds.stale);
+    staleDeviceCount += staleDevices.length;
+    if (staleDevices.length) staleStationCount++;
+
+    // Count hubs and their problems
+    for (const ds of statuses) {
+      if (!ds.hub) continue;
+      hubCounts.total++;
+      if (entry.devices[ds.serial].rebootsSinceLastRun > 0) hubCounts.rebooted++;
+      for (const problem of Object.keys(hubProblems(entry.devices[ds.serial], thresholds))) {
+        hubCounts[problem]++;
+      }
+    }
+
+    // A) Offline: alert once it has been down for enough consecutive runs
+    if (isOffline) {
+      if (!entry.offlineAlerted) {
+        if (entry.offlineRuns >= offlineAlertRuns) {
+          entry.offlineAlerted = true;
+          markFailuresAlerted(entry, failuresOnly);
+          if (alertsOn) {
+            const rootCause = hubRootCause(statuses, entry, thresholds);
+            const failedDevices = failuresOnly.map(ds => ({ serial: ds.serial, sensors: ds.failures.map(f => f.sensor) }));
+            await notifier.sendOfflineAlert(mentions, name, id, stationName, currentFailures, rootCause, failedDevices);
           }
+        } else {
+          log.info('offline_alert_held', `${name} station ${id} offline for ${entry.offlineRuns}/${offlineAlertRuns} runs; holding alert`, { stationId: id });
         }
-        for (const sensors of Object.values(deviceFailuresMap)) {
-          await slack.sendSensorFailureAlert(mentions, name, id, stationName, sensors);
-        }
+      } else if (alertsOn) {
+        notifier.addStillDown(name, id, stationName, entry.offlineSince);
       }
       continue;
     }
 
-    // B) Recovered
-    if (!isOffline && wasOffline) {
-      delete newCache[id];
-      if (alertsOn) {
-        await slack.sendRecoveryAlert(name, id, stationName);
+    // B) Recovered: back online for enough consecutive runs after an offline alert
+    if (entry.offlineAlerted) {
+      if (entry.onlineRuns >= recoveryAlertRuns) {
+        entry.offlineAlerted = false;
+        if (entry.offlineSince) {
+          entry.lastOutage = { start: entry.offlineSince, end: entry.onlineSince };
+        }
+        delete entry.offlineSince;
+        delete entry.onlineSince;
+        if (alertsOn) {
+          const downtimeMs = entry.lastOutage ? entry.lastOutage.end - entry.lastOutage.start : null;
+          await notifier.sendRecoveryAlert(name, id, stationName, downtimeMs);
+        }
+      } else {
+        log.info('recovery_alert_held', `${name} station ${id} online for ${entry.onlineRuns}/${recoveryAlertRuns} runs; holding recovery`, { stationId: id });
       }
-      continue;
     }
 
-    // C) Healthy and online
-    if (!isOffline) {
-      newCache[id] = buildStationCacheEntry(statuses, isOffline);
-      continue;
+    // C) Online: per-device sensor failures and recoveries
+    for (const ds of statuses) {
+      const serialEntry = entry.devices[ds.serial];
+      const monitored = sensor => sensorKeys.includes(sensor);
+      const records = Object.entries(serialEntry.failures);
+
+      const newFailures = records
+        .filter(([, record]) => record.failing && !record.alerted && record.runs >= failureAlertRuns)
+        .map(([sensor]) => sensor);
+      for (const sensor of newFailures) {
+        serialEntry.failures[sensor].alerted = true;
+      }
+
+      // A recovered failure's record is done with once the recovery goes out
+      const recovered = records
+        .filter(([, record]) => !record.failing && record.alerted && record.clearRuns >= recoveryAlertRuns)
+        .map(([sensor]) => sensor);
+      for (const sensor of recovered) {
+        delete serialEntry.failures[sensor];
+      }
+
+      if (alertsOn && newFailures.some(monitored)) {
+        await notifier.sendSensorFailureAlert(mentions, name, id, stationName, newFailures.filter(monitored), ds.serial);
+      }
+      if (alertsOn && recovered.some(monitored)) {
+        const downtimes = {};
+        for (const sensor of recovered.filter(monitored)) {
+          const span = serialEntry.lastFailure[sensor];
+          if (span) downtimes[sensor] = span.end - span.start;
+        }
+        await notifier.sendSensorRecoveryAlert(name, id, stationName, ds.serial, recovered.filter(monitored), downtimes);
+      }
+
+      // Warnings only alert once they have persisted, and only if the tenant opts in
+      if (warningAlertHours > 0) {
+        const now = Date.now();
+        const persisted = ds.warnings.filter(w =>
+          sensorKeys.includes(w.sensor)
+          && !serialEntry.warningAlerted.includes(w.key)
+          && now - serialEntry.warningSince[w.key] >= warningAlertHours * 3600 * 1000
+        );
+        const cleared = serialEntry.warningAlerted.filter(key => !serialEntry.warnings.includes(key));
+        serialEntry.warningAlerted = serialEntry.warningAlerted
+          .filter(key => !cleared.includes(key))
+          .concat(persisted.map(w => w.key));
+
+        for (const w of persisted) {
+          if (alertsOn) {
+            await notifier.sendWarningAlert(mentions, name, id, stationName, ds.serial, w.sensor, w.reason, serialEntry.warningSince[w.key]);
+          }
+        }
+        if (alertsOn && cleared.length) {
+          await notifier.sendWarningClearedAlert(name, id, stationName, ds.serial, cleared);
+        }
+      }
+
+      // Sensors whose readings look stuck or impossible
+      if (ds.suspects) {
+        const suspects = serialEntry.suspects.filter(monitored);
+        const newSuspects = ds.suspects.filter(s => monitored(s.sensor) && !serialEntry.suspectAlerted.includes(s.sensor));
+        const cleared = serialEntry.suspectAlerted.filter(sensor => !suspects.includes(sensor));
+        serialEntry.suspectAlerted = suspects;
+
+        if (alertsOn && newSuspects.length) {
+          await notifier.sendSuspectSensorAlert(mentions, name, id, stationName, ds.serial, newSuspects);
+        }
+        if (alertsOn && cleared.length) {
+          await notifier.sendSuspectClearedAlert(name, id, stationName, ds.serial, cleared);
+        }
+      }
+
+      // Devices the API calls online but that stopped sending observations
+      if (serialEntry.stale && !serialEntry.staleAlerted) {
+        if (serialEntry.staleRuns >= offlineAlertRuns) {
+          serialEntry.staleAlerted = true;
+          if (alertsOn) {
+            await notifier.sendStaleDataAlert(mentions, name, id, stationName, ds.serial, serialEntry.lastObservation);
+          }
+        }
+      } else if (!serialEntry.stale && serialEntry.staleAlerted && serialEntry.freshRuns >= recoveryAlertRuns) {
+        serialEntry.staleAlerted = false;
+        if (alertsOn) {
+          await notifier.sendStaleRecoveredAlert(name, id, stationName, ds.serial);
+        }
+      }
+
+      // Hub reboot loops and weak Wi-Fi
+      if (ds.hub) {
+        const problems = hubProblems(serialEntry, thresholds);
+        const checks = [['reboot_loop', 'rebootAlerted'], ['weak_signal', 'signalAlerted']];
+        for (const [problem, flag] of checks) {
+          if (problems[problem] && !serialEntry[flag]) {
+            serialEntry[flag] = true;
+            if (alertsOn) {
+              await notifier.sendHubAlert(mentions, name, id, stationName, ds.serial, problem, problems[problem]);
+            }
+          } else if (!problems[problem] && serialEntry[flag]) {
+            serialEntry[flag] = false;
+            if (alertsOn) {
+              await notifier.sendHubRecoveredAlert(name, id, stationName, ds.serial, problem);
+            }
+          }
+        }
+      }
+
+      // Firmware below the tenant's minimum, and revision changes. An update that
+      // clears an outdated alert says so itself, so it doesn't also get a change alert.
+      const outdated = firmwareOutdated(ds.deviceType, serialEntry.firmware, minFirmware);
+      if (outdated && !serialEntry.firmwareOutdatedAlerted) {
+        serialEntry.firmwareOutdatedAlerted = true;
+        if (alertsOn) {
+          await notifier.sendFirmwareOutdatedAlert(mentions, name, id, stationName, ds.serial, serialEntry.firmware, minFirmware[ds.deviceType]);
+        }
+      } else if (!outdated && serialEntry.firmwareOutdatedAlerted) {
+        serialEntry.firmwareOutdatedAlerted = false;
+        serialEntry.firmwareChangeAlerted = true;
+        if (alertsOn) {
+          await notifier.sendFirmwareCurrentAlert(name, id, stationName, ds.serial, serialEntry.firmware, minFirmware[ds.deviceType]);
+        }
+      }
+      if (!serialEntry.firmwareChangeAlerted) {
+        serialEntry.firmwareChangeAlerted = true;
+        if (alertsOn) {
+          await notifier.sendFirmwareChangedAlert(name, id, stationName, ds.serial, serialEntry.previousFirmware, serialEntry.firmware);
+        }
+      }
+
+      // Low power modes are the early warning that a Tempest is about to go dark
+      if (ds.powerModeLevel !== null) {
+        const lowPower = ds.powerModeLevel >= lowPowerAlertLevel;
+        if (lowPower && !serialEntry.powerAlerted) {
+          serialEntry.powerAlerted = true;
+          if (alertsOn) {
+            await notifier.sendLowPowerAlert(mentions, name, id, stationName, ds.serial, ds.powerMode, ds.batteryVoltage);
+          }
+        } else if (!lowPower && serialEntry.powerAlerted) {
+          serialEntry.powerAlerted = false;
+          if (alertsOn) {
+            await notifier.sendPowerRestoredAlert(name, id, stationName, ds.serial, ds.powerMode);
+          }
+        }
+      }
     }
+  }
+
+  // Tenant-level API health; a single-station check can't speak for the tenant
+  if (onlyStation === null) {
+    const apiUnreachable = stationsUnavailable || (stationsData.length > 0 && unknownCount === stationsData.length);
+    const monitor = buildMonitorEntry(cache.monitor, apiUnreachable);
+    newCache.monitor = monitor;
 
-    // D) Just went offline
-    if (!wasOffline) {
+    if (apiUnreachable && !monitor.degradedAlerted && monitor.unreachableRuns >= degradedAlertRuns) {
+      monitor.degradedAlerted = true;
       if (alertsOn) {
-        await slack.sendOfflineAlert(mentions, name, id, stationName, currentFailures);
+        await notifier.sendMonitoringDegradedAlert(mentions, name, monitor.unreachableRuns, monitor.unreachableSince);
+      }
+    } else if (!apiUnreachable && monitor.degradedAlerted) {
+      monitor.degradedAlerted = false;
+      if (alertsOn) {
+        await notifier.sendMonitoringRestoredAlert(name);
       }
     }
+  }
 
-    // Offline fallback (ensure cache updated)
-    newCache[id] = buildStationCacheEntry(statuses, isOffline);
+  // Once a silence ends, summarize whatever in its scope is still wrong
+  try {
+    const stationNames = Object.fromEntries(stationsData.map(s => [String(s.station_id), s.name]));
+    const expired = dryRun ? silences.filter(silence => silence.end <= Date.now()) : await expireSilences(name);
+    for (const silence of expired) {
+      log.info('silence_expired', `${name} silence ${silence.id} for ${describeScope(silence)} has ended`, { silenceId: silence.id });
+      if (alertsOn) {
+        const problems = unresolvedProblems(newCache, silence, thresholds, stationNames);
+        await notifier.sendSilenceExpiredAlert(mentions, name, silence, problems);
+      }
+    }
+  } catch (err) {
+    log.warn('silences_expire_failed', `Could not expire silences for ${name}`, { error: err });
   }
 
-  // 4) Save updated cache
+  // 5) Post this tenant's digests
+  await notifier.flush();
+
+  const result = { tenant: name, offlineCount, unknownCount, stations: stationResults };
+  if (dryRun) {
+    return result;
+  }
+
+  // 6) Save updated cache, then record this run's transitions in the incident log.
+  // Only once the save succeeds: otherwise the next run sees the same transitions
+  // against the old cache and would log them twice.
+  let cacheSaved = false;
   try {
     await saveCacheFor(name, newCache);
-    console.log(`Saved cache for ${name} (${Object.keys(newCache).length} entries)`);
+    cacheSaved = true;
+    log.info('cache_saved', `Saved cache for ${name} (${stationIds(newCache).length} entries)`);
   } catch (err) {
-    console.error(`Failed to save cache for ${name}:`, err.message);
+    log.error('cache_save_failed', `Failed to save cache for ${name}`, { error: err });
+  }
+
+  if (cacheSaved && incidents.length) {
+    try {
+      await appendIncidentsFor(name, incidents);
+    } catch (err) {
+      log.warn('incidents_append_failed', `Could not append ${incidents.length} incidents for ${name}`, { error: err });
+    }
   }
 
-  // 5) Emit metrics
-  const totalStations = stationsData.length;
+  // 7) Emit metrics, which describe the whole tenant, so not from a single-station check
+  if (onlyStation !== null) return result;
+  const totalStations = stationsUnavailable ? unknownCount : stationsData.length;
   const timestamp = Math.floor(Date.now() / 1000);
   const metricLines = buildMetricLines(
     name,
@@ -200,36 +544,137 @@ async function processUser({ name, apiKey, alertUserIds, alertsOn }) {
     healthyCount,
     offlineCount,
     totalStations,
-    sensorFailureCounts
+    sensorFailureCounts,
+    unknownCount
   );
+  metricLines.push(...buildPowerMetricLines(name, functionName, timestamp, powerModeCounts));
+  metricLines.push(...buildWarningMetricLines(name, functionName, timestamp, warningCounts));
+  metricLines.push(...buildHubMetricLines(name, functionName, timestamp, hubCounts));
+  metricLines.push(...buildFirmwareMetricLines(name, functionName, timestamp, firmwareCounts, outdatedFirmwareCounts));
+  metricLines.push(...buildSuspectMetricLines(name, functionName, timestamp, sensorKeys, suspectCounts));
+  metricLines.push(...buildStaleMetricLines(name, functionName, timestamp, staleStationCount, staleDeviceCount));
+  metricLines.push(...buildFailureStateMetricLines(name, functionName, timestamp, sensorKeys, failureCountsByState));
+  metricLines.push(...buildStationMetricLines(name, functionName, timestamp, sensorKeys, stationMetricData, stationMetrics));
+  metricLines.push(...buildCacheMetricLines(name, functionName, timestamp, false));
   try {
     await sendMetricsBatch(metricLines);
-  } catch {}
+  } catch (err) {
+    recordDeliveryFailure('metrics');
+    log.warn('metrics_send_failed', `Failed to send metrics for ${name}`, { error: err });
+  }
+
+  return result;
+}
+
+// A tenant skipped for want of its cache sends none of its usual metrics; this
+// one makes a cache backend outage visible rather than a gap in every graph
+async function sendCacheUnavailableMetric(name, log) {
+  try {
+    await sendMetricsBatch(buildCacheMetricLines(name, functionName, Math.floor(Date.now() / 1000), true));
+  } catch (err) {
+    recordDeliveryFailure('metrics');
+    log.warn('metrics_send_failed', `Failed to send metrics for ${name}`, { error: err });
+  }
+}
+
+// Dead-man check: alert if the last run to finish is older than expected, or the
+// previous run started and never finished. Returns the heartbeat to carry forward,
+// and whether an earlier run already alerted, so finishing this one is news.
+async function checkHeartbeat(now) {
+  let prev = null;
+  try {
+    prev = await loadHeartbeat();
+  } catch (err) {
+    logger.warn('heartbeat_load_failed', 'Could not load heartbeat', { error: err });
+  }
+  const heartbeat = { ...prev, startedAt: now };
+  if (!prev) return { heartbeat, alertedBefore: false };
 
-  return offlineCount;
+  const reasons = [];
+  if (prev.startedAt > (prev.completedAt || 0)) {
+    reasons.push('the previous run did not finish');
+  }
+  if (prev.completedAt && now - prev.completedAt > HEARTBEAT_MAX_AGE_MINUTES * 60 * 1000) {
+    reasons.push(`no run has completed in over ${HEARTBEAT_MAX_AGE_MINUTES} minutes`);
+  }
+  if (reasons.length && !prev.deadManAlerted) {
+    heartbeat.deadManAlerted = true;
+    await slack.sendMonitorStalledAlert(slack.buildMentions(config.MONITOR_ALERT_USER_IDS || []), prev.completedAt, reasons.join(' and '));
+  }
+  return { heartbeat, alertedBefore: Boolean(prev.deadManAlerted) };
+}
+
+async function saveHeartbeatQuietly(heartbeat) {
+  try {
+    await saveHeartbeat(heartbeat);
+  } catch (err) {
+    logger.warn('heartbeat_save_failed', 'Could not save heartbeat', { error: err });
+  }
 }
 
 async function checkAll() {
   let anyOffline = false;
   const details = [];
+  const runDigests = new Map();
+  const runStarted = Date.now();
+
+  resetTelemetry();
+  const { heartbeat, alertedBefore } = await checkHeartbeat(runStarted);
+  await saveHeartbeatQuietly(heartbeat);
 
-  for (const user of USERS) {
-    const cnt = await processUser(user);
-    if (cnt > 0) {
+  const results = await mapWithConcurrency(USERS, TENANT_CONCURRENCY, user => processUser(user, runDigests));
+
+  for (const { tenant, offlineCount } of results) {
+    if (offlineCount > 0) {
       anyOffline = true;
-      details.push(`${user.name}: ${cnt}`);
+      details.push(`${tenant}: ${offlineCount}`);
     }
   }
 
+  for (const digest of runDigests.values()) {
+    await digest.flush();
+  }
+
   if (anyOffline) {
-    console.error(`Stations still offline: ${details.join(', ')}`);
+    logger.error('run_stations_offline', `Stations still offline: ${details.join(', ')}`);
   } else {
-    console.log('✅ All stations for all users are online');
+    logger.info('run_all_online', 'All stations for all users are online');
   }
+
+  // Report on the run itself, then mark it complete
+  const runDurationMs = Date.now() - runStarted;
+  try {
+    await sendMetricsBatch(buildTelemetryMetricLines(functionName, Math.floor(Date.now() / 1000), runDurationMs));
+  } catch (err) {
+    logger.warn('telemetry_send_failed', 'Failed to send run telemetry', { error: err });
+  }
+
+  if (alertedBefore) {
+    await slack.sendMonitorResumedAlert();
+  }
+  await saveHeartbeatQuietly({ startedAt: runStarted, completedAt: Date.now(), durationMs: runDurationMs });
 }
 
-export const handler = async () => {
+export const handler = async (event = {}) => {
+  startRun();
+  // Reports, station history and maintenance silences are served by the same function
+  if (event.action === 'uptimeReport') {
+    const { tenant, from, to, slack } = event;
+    return runUptimeReports(USERS, { tenant, from, to, slack });
+  }
+  if (event.action === 'stationHistory') {
+    if (!USERS.some(user => user.name === event.tenant)) {
+      throw new Error(`Unknown tenant "${event.tenant}"`);
+    }
+    return stationHistory(event.tenant, event.stationId, event);
+  }
+  if (event.action) {
+    return handleSilenceEvent(event, USERS);
+  }
   await checkAll();
 };
 
-await checkAll();
\ No newline at end of file
+// `node index.js` runs a check; importing the module (Lambda, the CLI) doesn't
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await checkAll();
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { randomUUID } from 'crypto';
+
+// Structured logging: one JSON object per line, so CloudWatch Logs Insights can
+// filter by run, tenant, station or event type:
+//   {"time":"...","level":"warn","runId":"...","tenant":"KOOTENAI","stationId":"123",
+//    "event":"diagnostics_failed","message":"...","error":{"message":"..."}}
+// Every line is scrubbed of API keys and webhook URLs before it's written, since
+// request URLs carry `?api_key=` and axios errors can echo them back.
+
+let runId = randomUUID();
+const secrets = new Set();
+
+const REDACTED = '[REDACTED]';
+const PATTERNS = [
+  [/([?&]api_key=)[^&\s"\\]+/gi, `$1${REDACTED}`],
+  [/https:\/\/hooks\.slack\.com\/[^\s"\\]+/gi, REDACTED]
+];
+
+// Each checkAll (or Lambda action) gets its own ID to tie its lines together
+export function startRun() {
+  runId = randomUUID();
+  return runId;
+}
+
+// Exact values to scrub wherever they show up: tenant API keys, webhook URLs and
+// headers, PagerDuty routing keys. Short values are skipped so they can't mangle
+// unrelated text.
+export function addSecrets(...values) {
+  for (const value of values.flat()) {
+    if (typeof value === 'string' && value.length >= 8) {
+      secrets.add(value);
+    }
+  }
+}
+
+export function redact(text) {
+  let scrubbed = String(text);
+  for (const secret of secrets) {
+    scrubbed = scrubbed.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, replacement);
+  }
+  return scrubbed;
+}
+
+function describeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  const error = { name: err.name, message: err.message };
+  if (err.code) error.code = err.code;
+  if (err.response?.status) error.status = err.response.status;
+  return error;
+}
+
+// `context` (tenant, stationId, ...) is added to every line; child() narrows it
+export class Logger {
+  constructor(context = {}) {
+    this.context = context;
+  }
+
+  child(context) {
+    return new Logger({ ...this.context, ...context });
+  }
+
+  info(event, message, fields) {
+    this.write('info', event, message, fields);
+  }
+
+  warn(event, message, fields) {
+    this.write('warn', event, message, fields);
+  }
+
+  error(event, message, fields) {
+    this.write('error', event, message, fields);
+  }
+
+  write(level, event, message, { error, ...fields } = {}) {
+    const line = { time: new Date().toISOString(), level, runId, ...this.context, event, message, ...fields };
+    if (error !== undefined) {
+      line.error = describeError(error);
+    }
+    const text = redact(JSON.stringify(line));
+    if (level === 'error') {
+      console.error(text);
+    } else if (level === 'warn') {
+      console.warn(text);
+    } else {
+      console.log(text);
+    }
+  }
+}
+
+export const logger = new Logger();
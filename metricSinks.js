@@ -0,0 +1,167 @@
+import axios from 'axios';
+import dgram from 'dgram';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Every sink takes the metric records built in metrics.js:
+//   { tenant, functionName, timestamp, path, name, labels, value }
+// and writes them in its own format with send(metrics).
+
+// The original records endpoint: `vip.{tenant}_{path}.{function},{ts},{value}`
+// joined by ';'. Small batches go in a GET query string as before; batches that
+// would make the URL too long are POSTed as form bodies in chunks.
+export class GraphiteRecordsSink {
+  constructor({ url, maxUrlLength = 2000, chunkSize = 500 }) {
+    this.url = url;
+    this.maxUrlLength = maxUrlLength;
+    this.chunkSize = chunkSize;
+  }
+
+  format(m) {
+    return `vip.${m.tenant.toLowerCase()}_${m.path}.${m.functionName},${m.timestamp},${m.value}`;
+  }
+
+  async send(metrics) {
+    const records = metrics.map(m => this.format(m));
+    const query = `records=${encodeURIComponent(records.join(';'))}`;
+    if (this.url.length + 1 + query.length <= this.maxUrlLength) {
+      await axios.get(`${this.url}?${query}`);
+      return;
+    }
+
+    for (let i = 0; i < records.length; i += this.chunkSize) {
+      const body = new URLSearchParams({ records: records.slice(i, i + this.chunkSize).join(';') });
+      await axios.post(this.url, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+    }
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Prometheus text exposition, pushed to a Pushgateway and/or written as a
+// node_exporter textfile. Each tenant is its own Pushgateway group (and file), so
+// a PUT replaces only that tenant's series and series that disappear are dropped.
+export class PrometheusSink {
+  constructor({ pushgatewayUrl = null, job = 'tempest_vips', textfileDir = null }) {
+    this.pushgatewayUrl = pushgatewayUrl;
+    this.job = job;
+    this.textfileDir = textfileDir;
+  }
+
+  format(metrics) {
+    const byName = new Map();
+    for (const m of metrics) {
+      const name = `vip_${m.name}`;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(m);
+    }
+
+    const lines = [];
+    for (const [name, series] of byName) {
+      lines.push(`# TYPE ${name} gauge`);
+      for (const m of series) {
+        const labels = { tenant: m.tenant, ...m.labels };
+        const rendered = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',');
+        lines.push(`${name}{${rendered}} ${m.value}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  async send(metrics) {
+    const byTenant = new Map();
+    for (const m of metrics) {
+      if (!byTenant.has(m.tenant)) byTenant.set(m.tenant, []);
+      byTenant.get(m.tenant).push(m);
+    }
+
+    for (const [tenant, tenantMetrics] of byTenant) {
+      const body = this.format(tenantMetrics);
+      if (this.pushgatewayUrl) {
+        const url = `${this.pushgatewayUrl}/metrics/job/${encodeURIComponent(this.job)}/tenant/${encodeURIComponent(tenant)}`;
+        await axios.put(url, body, { headers: { 'Content-Type': 'text/plain; version=0.0.4' } });
+      }
+      if (this.textfileDir) {
+        // Write then rename so the collector never reads a half-written file
+        const file = path.join(this.textfileDir, `tempest_vips_${tenant.toLowerCase()}.prom`);
+        await fs.mkdir(this.textfileDir, { recursive: true });
+        await fs.writeFile(`${file}.${process.pid}.tmp`, body);
+        await fs.rename(`${file}.${process.pid}.tmp`, file);
+      }
+    }
+  }
+}
+
+// StatsD gauges over UDP, using the same dotted names as the records endpoint
+export class StatsdSink {
+  constructor({ host = '127.0.0.1', port = 8125, maxPacketBytes = 1432 }) {
+    this.host = host;
+    this.port = port;
+    this.maxPacketBytes = maxPacketBytes;
+  }
+
+  format(m) {
+    return `vip.${m.tenant.toLowerCase()}_${m.path}.${m.functionName}:${m.value}|g`;
+  }
+
+  // Pack lines into packets under the MTU-safe size
+  packets(metrics) {
+    const packets = [];
+    let current = '';
+    for (const line of metrics.map(m => this.format(m))) {
+      if (current && Buffer.byteLength(current) + 1 + Buffer.byteLength(line) > this.maxPacketBytes) {
+        packets.push(current);
+        current = line;
+      } else {
+        current = current ? `${current}\n${line}` : line;
+      }
+    }
+    if (current) packets.push(current);
+    return packets;
+  }
+
+  async send(metrics) {
+    const socket = dgram.createSocket('udp4');
+    try {
+      for (const packet of this.packets(metrics)) {
+        await new Promise((resolve, reject) => {
+          socket.send(packet, this.port, this.host, err => (err ? reject(err) : resolve()));
+        });
+      }
+    } finally {
+      socket.close();
+    }
+  }
+}
+
+export function createMetricSinks(config) {
+  const names = config.METRIC_SINKS || ['graphite'];
+
+  return names.map(name => {
+    switch (name) {
+      case 'graphite':
+        return new GraphiteRecordsSink({
+          url:          config.METRIC_URL,
+          maxUrlLength: config.METRIC_MAX_URL_LENGTH,
+          chunkSize:    config.METRIC_CHUNK_SIZE,
+        });
+      case 'prometheus':
+        return new PrometheusSink({
+          pushgatewayUrl: config.PROMETHEUS_PUSHGATEWAY_URL,
+          job:            config.PROMETHEUS_JOB,
+          textfileDir:    config.PROMETHEUS_TEXTFILE_DIR,
+        });
+      case 'statsd':
+        return new StatsdSink({
+          host: config.STATSD_HOST,
+          port: config.STATSD_PORT,
+        });
+      default:
+        throw new Error(`Unknown metric sink "${name}" (expected graphite, prometheus or statsd)`);
+    }
+  });
+}
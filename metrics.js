@@ -1,7 +1,37 @@
-import axios from 'axios';
 import config from './config.json' with { type: 'json' };
+import { DEVICE_REGISTRY } from './deviceRegistry.js';
+import { createMetricSinks } from './metricSinks.js';
+import { logger } from './logger.js';
 
-const { METRIC_URL } = config;
+let sinks = null;
+
+function getMetricSinks() {
+  if (!sinks) {
+    sinks = createMetricSinks(config);
+  }
+  return sinks;
+}
+
+// Swap the sinks, e.g. to capture metrics in tests or local runs
+export function setMetricSinks(newSinks) {
+  sinks = newSinks;
+}
+
+// The builders below return metric records rather than formatted lines, so each
+// sink can render them its own way. `path` is the Graphite-style name with any
+// labels filled in (`station_wind_failure_count`); `name` drops the label
+// placeholders (`station_failure_count`) for sinks that carry labels separately.
+export function metric(userName, functionName, timestamp, pattern, value, labels = {}, name = null) {
+  return {
+    tenant: userName,
+    functionName,
+    timestamp,
+    path: pattern.replace(/\{(\w+)\}/g, (_, label) => labels[label]),
+    name: name || pattern.replace(/_?\{\w+\}/g, ''),
+    labels,
+    value
+  };
+}
 
 export function buildMetricLines(
   userName,
@@ -11,42 +41,178 @@ export function buildMetricLines(
   offlineCount,
   totalStations,
   sensorFailureCounts,
+  unknownCount = 0,
 ) {
-  const name = userName.toLowerCase();
+  const m = (pattern, value, labels) => metric(userName, functionName, timestamp, pattern, value, labels);
   const lines = [
-    `vip.${name}_station_online_count.${functionName},${timestamp},${onlineCount}`,
-    `vip.${name}_station_offline_count.${functionName},${timestamp},${offlineCount}`
+    m('station_online_count', onlineCount),
+    m('station_offline_count', offlineCount),
+    m('station_unknown_count', unknownCount)
   ];
 
   // Per-sensor failure counts
   for (const sensor of Object.keys(sensorFailureCounts)) {
     const count = sensorFailureCounts[sensor] || 0;
-    lines.push(
-      `vip.${name}_station_${sensor}_failure_count.${functionName},${timestamp},${count}`
-    );
+    lines.push(m('station_{sensor}_failure_count', count, { sensor }));
   }
 
   // Total failures across all sensors
   const totalFailures = Object.values(sensorFailureCounts).reduce((sum, c) => sum + c, 0);
-  lines.push(
-    `vip.${name}_station_total_sensor_failure_count.${functionName},${timestamp},${totalFailures}`
-  );
+  lines.push(m('station_total_sensor_failure_count', totalFailures));
 
   // Total stations
-  lines.push(
-    `vip.${name}_station_total_count.${functionName},${timestamp},${totalStations}`
+  lines.push(m('station_total_count', totalStations));
+
+  return lines;
+}
+
+// Devices per power mode level (0 is normal/performance, otherwise the low power mode)
+const POWER_MODE_LEVELS = [0, 1, 2, 3, 5];
+
+export function buildPowerMetricLines(userName, functionName, timestamp, powerModeCounts) {
+  return POWER_MODE_LEVELS.map(level =>
+    metric(userName, functionName, timestamp, 'device_power_mode_{mode}_count', powerModeCounts[level] || 0, { mode: `m${level}` })
   );
+}
 
+// Devices reporting each sensor warning, e.g. lightning Noise
+export function buildWarningMetricLines(userName, functionName, timestamp, warningCounts) {
+  return DEVICE_REGISTRY.warningKeys.map(key =>
+    metric(userName, functionName, timestamp, 'station_{warning}_count', warningCounts[key] || 0, { warning: key }, 'station_warning_count')
+  );
+}
+
+// Hub totals and hubs with each problem
+export function buildHubMetricLines(userName, functionName, timestamp, hubCounts) {
+  return ['total', 'rebooted', 'reboot_loop', 'weak_signal'].map(key =>
+    metric(userName, functionName, timestamp, `hub_${key}_count`, hubCounts[key])
+  );
+}
+
+// Devices on each firmware revision per device type, and devices below the
+// tenant's minimum for every type that has one. `firmwareCounts` is keyed by
+// device type, then revision ("unknown" when the API doesn't report one).
+export function buildFirmwareMetricLines(userName, functionName, timestamp, firmwareCounts, outdatedCounts) {
+  const lines = [];
+  for (const [deviceType, revisions] of Object.entries(firmwareCounts)) {
+    for (const [firmware, count] of Object.entries(revisions)) {
+      lines.push(metric(userName, functionName, timestamp, 'device_{type}_firmware_{firmware}_count', count, { type: deviceType.toLowerCase(), firmware }));
+    }
+  }
+  for (const [deviceType, count] of Object.entries(outdatedCounts)) {
+    lines.push(metric(userName, functionName, timestamp, 'device_{type}_firmware_outdated_count', count, { type: deviceType.toLowerCase() }));
+  }
   return lines;
 }
 
+// Online stations with devices that stopped sending observations
+export function buildStaleMetricLines(userName, functionName, timestamp, staleStationCount, staleDeviceCount) {
+  return [
+    metric(userName, functionName, timestamp, 'station_stale_count', staleStationCount),
+    metric(userName, functionName, timestamp, 'device_stale_count', staleDeviceCount)
+  ];
+}
+
+// 1 when the tenant's cache couldn't be loaded and the run skipped it, 0 otherwise
+export function buildCacheMetricLines(userName, functionName, timestamp, unavailable) {
+  return [metric(userName, functionName, timestamp, 'cache_unavailable', unavailable ? 1 : 0)];
+}
+
+// Sensors the plausibility checks suspect are stuck, per sensor
+export function buildSuspectMetricLines(userName, functionName, timestamp, sensorKeys, suspectCounts) {
+  const lines = sensorKeys.map(sensor =>
+    metric(userName, functionName, timestamp, 'station_{sensor}_suspect_count', suspectCounts[sensor] || 0, { sensor })
+  );
+  const total = Object.values(suspectCounts).reduce((sum, c) => sum + c, 0);
+  lines.push(metric(userName, functionName, timestamp, 'station_total_sensor_suspect_count', total));
+  return lines;
+}
+
+// Sensor failures on every station the API reported on, split by whether the
+// station was online, so failures on online stations show up too
+export function buildFailureStateMetricLines(userName, functionName, timestamp, sensorKeys, failureCountsByState) {
+  const lines = [];
+  for (const state of ['online', 'offline']) {
+    for (const sensor of sensorKeys) {
+      lines.push(metric(
+        userName, functionName, timestamp,
+        'station_{sensor}_failure_{state}_count', failureCountsByState[state][sensor] || 0,
+        { sensor, state }, 'station_sensor_failure_by_state_count'
+      ));
+    }
+  }
+  return lines;
+}
+
+// Pick the stations that could get their own series, before the cap. Problem
+// stations go first so the cap never hides one of them behind a healthy station.
+export function selectMetricStations(stations, { stations: mode }) {
+  if (Array.isArray(mode)) {
+    const wanted = mode.map(String);
+    return stations.filter(s => wanted.includes(s.stationId));
+  }
+  if (mode === 'all' || mode === 'problems') {
+    const problems = stations.filter(s => s.offline || s.failedSensors.length);
+    return mode === 'all'
+      ? [...problems, ...stations.filter(s => !problems.includes(s))]
+      : problems;
+  }
+  return [];
+}
+
+// Per-station series for online state and failure flags, and optionally
+// per-device series for online state and failure counts. `stations` is one entry
+// per station the API reported on:
+//   { stationId, offline, failedSensors, devices: [{ serial, failedSensors }] }
+export function buildStationMetricLines(userName, functionName, timestamp, sensorKeys, stations, options) {
+  const candidates = selectMetricStations(stations, options);
+  if (candidates.length > options.maxStations) {
+    logger.warn('station_metrics_capped', `${userName}: per-station metrics capped at ${options.maxStations} of ${candidates.length} stations`, { tenant: userName });
+  }
+
+  const lines = [];
+  for (const s of candidates.slice(0, options.maxStations)) {
+    const station = s.stationId;
+    const m = (pattern, value, labels, name) =>
+      metric(userName, functionName, timestamp, pattern, value, { station, ...labels }, name);
+
+    lines.push(m('station_{station}_online', s.offline ? 0 : 1));
+    lines.push(m('station_{station}_failed_sensor_count', s.failedSensors.length));
+    for (const sensor of sensorKeys) {
+      lines.push(m('station_{station}_{sensor}_failed', s.failedSensors.includes(sensor) ? 1 : 0, { sensor }, 'station_sensor_failed'));
+    }
+
+    if (options.devices) {
+      // A device is online with its station; its failures count toward the station's state
+      const stationState = s.offline ? 'offline' : 'online';
+      for (const d of s.devices) {
+        const serial = d.serial;
+        lines.push(m('device_{serial}_online', s.offline ? 0 : 1, { serial }));
+        lines.push(m('device_{serial}_failed_sensor_count', d.failedSensors.length, { serial }));
+        for (const state of ['online', 'offline']) {
+          lines.push(m(
+            'device_{serial}_failed_sensor_{state}_count', state === stationState ? d.failedSensors.length : 0,
+            { serial, state }, 'device_failed_sensor_by_state_count'
+          ));
+        }
+      }
+    }
+  }
+  return lines;
+}
+
+// Send to every configured sink; one failing sink doesn't stop the others
 export async function sendMetricsBatch(lines) {
-  try {
-    const records = lines.join(';');
-    const url = `${METRIC_URL}?records=${encodeURIComponent(records)}`;
-    await axios.get(url);
-  } catch (error) {
-    throw new Error(`Failed to send metrics: ${error.message}`);
+  const errors = [];
+  for (const sink of getMetricSinks()) {
+    try {
+      await sink.send(lines);
+    } catch (error) {
+      errors.push(`${sink.constructor.name}: ${error.message}`);
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Failed to send metrics: ${errors.join('; ')}`);
   }
 }
 
@@ -56,7 +222,8 @@ export async function sendUserMetrics(
   healthyCount,
   offlineCount,
   totalStations,
-  sensorFailureCounts
+  sensorFailureCounts,
+  unknownCount = 0
 ) {
   const timestamp = Math.floor(Date.now() / 1000);
   
@@ -67,7 +234,8 @@ export async function sendUserMetrics(
     healthyCount,
     offlineCount,
     totalStations,
-    sensorFailureCounts
+    sensorFailureCounts,
+    unknownCount
   );
 
   await sendMetricsBatch(metricLines);
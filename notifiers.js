@@ -0,0 +1,494 @@
+import axios from 'axios';
+import { Slack } from './Slack.js';
+import { SlackDigest } from './SlackDigest.js';
+import { recordDeliveryFailure } from './telemetry.js';
+import { logger } from './logger.js';
+
+// A notifier is anything with the alert methods Slack already has:
+//   sendOfflineAlert(mentions, userName, stationId, stationName, failedSensors, rootCause, failedDevices)
+//   sendSensorFailureAlert(mentions, userName, stationId, stationName, sensors, serial)
+//   sendRecoveryAlert(userName, stationId, stationName, downtimeMs)
+//   sendSensorRecoveryAlert(userName, stationId, stationName, serial, sensors, downtimes)
+//   sendMonitoringDegradedAlert(mentions, userName, failedRuns, since)
+//   sendMonitoringRestoredAlert(userName)
+//   sendLowPowerAlert(mentions, userName, stationId, stationName, serial, powerMode, batteryVoltage)
+//   sendPowerRestoredAlert(userName, stationId, stationName, serial, powerMode)
+//   sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, reason, since)
+//   sendWarningClearedAlert(userName, stationId, stationName, serial, warningKeys)
+//   sendHubAlert(mentions, userName, stationId, stationName, serial, problem, detail)
+//   sendHubRecoveredAlert(userName, stationId, stationName, serial, problem)
+//   sendStaleDataAlert(mentions, userName, stationId, stationName, serial, lastObservation)
+//   sendStaleRecoveredAlert(userName, stationId, stationName, serial)
+//   sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, suspects)
+//   sendSuspectClearedAlert(userName, stationId, stationName, serial, sensors)
+//   sendFirmwareChangedAlert(userName, stationId, stationName, serial, previousFirmware, firmware)
+//   sendFirmwareOutdatedAlert(mentions, userName, stationId, stationName, serial, firmware, minimum)
+//   sendFirmwareCurrentAlert(userName, stationId, stationName, serial, firmware, minimum)
+//   sendSilenceExpiredAlert(mentions, userName, silence, problems)
+// `mentions` is Slack markup; other sinks ignore it. `failedDevices` is
+// [{ serial, sensors }], the offline station's failures per device.
+
+const PAGERDUTY_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+// Hands each alert's Slack text to `print` instead of posting it, for dry runs
+export class ConsoleNotifier extends Slack {
+  constructor(print = console.log) {
+    super(null);
+    this.print = print;
+  }
+
+  async sendAlert(message) {
+    this.print(message);
+  }
+
+  async sendBlocks(text) {
+    this.print(text);
+    return true;
+  }
+
+  addStillDown() {}
+
+  async flush() {}
+}
+
+// POSTs every event as JSON to a customer's own endpoint
+export class WebhookNotifier {
+  constructor(url, headers = {}) {
+    this.url = url;
+    this.headers = headers;
+  }
+
+  async sendEvent(event) {
+    try {
+      await axios.post(this.url, { ...event, timestamp: new Date().toISOString() }, { headers: this.headers });
+    } catch (error) {
+      recordDeliveryFailure('webhook');
+      logger.warn('webhook_delivery_failed', `Failed to send webhook ${event.event} event`, { tenant: event.tenant, stationId: event.stationId, error });
+    }
+  }
+
+  async sendOfflineAlert(mentions, userName, stationId, stationName, failedSensors = [], rootCause = null, failedDevices = []) {
+    await this.sendEvent({ event: 'offline', tenant: userName, stationId, stationName, sensors: failedSensors, devices: failedDevices, rootCause });
+  }
+
+  async sendSensorFailureAlert(mentions, userName, stationId, stationName, sensors, serial = null) {
+    await this.sendEvent({ event: 'sensor_failure', tenant: userName, stationId, stationName, serial, sensors });
+  }
+
+  async sendRecoveryAlert(userName, stationId, stationName, downtimeMs = null) {
+    await this.sendEvent({ event: 'recovery', tenant: userName, stationId, stationName, downtimeMs });
+  }
+
+  async sendSensorRecoveryAlert(userName, stationId, stationName, serial, sensors, downtimes = {}) {
+    await this.sendEvent({ event: 'sensor_recovery', tenant: userName, stationId, stationName, serial, sensors, downtimes });
+  }
+
+  async sendMonitoringDegradedAlert(mentions, userName, failedRuns, since) {
+    await this.sendEvent({ event: 'monitoring_degraded', tenant: userName, failedRuns, since: new Date(since).toISOString() });
+  }
+
+  async sendMonitoringRestoredAlert(userName) {
+    await this.sendEvent({ event: 'monitoring_restored', tenant: userName });
+  }
+
+  async sendLowPowerAlert(mentions, userName, stationId, stationName, serial, powerMode, batteryVoltage) {
+    await this.sendEvent({ event: 'low_power', tenant: userName, stationId, stationName, serial, powerMode, batteryVoltage });
+  }
+
+  async sendPowerRestoredAlert(userName, stationId, stationName, serial, powerMode) {
+    await this.sendEvent({ event: 'power_restored', tenant: userName, stationId, stationName, serial, powerMode });
+  }
+
+  async sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, reason, since) {
+    await this.sendEvent({
+      event: 'sensor_warning',
+      tenant: userName,
+      stationId,
+      stationName,
+      serial,
+      sensor,
+      reason,
+      since: new Date(since).toISOString()
+    });
+  }
+
+  async sendWarningClearedAlert(userName, stationId, stationName, serial, warningKeys) {
+    await this.sendEvent({ event: 'sensor_warning_cleared', tenant: userName, stationId, stationName, serial, warnings: warningKeys });
+  }
+
+  async sendHubAlert(mentions, userName, stationId, stationName, serial, problem, detail) {
+    await this.sendEvent({ event: 'hub_problem', tenant: userName, stationId, stationName, serial, problem, detail });
+  }
+
+  async sendHubRecoveredAlert(userName, stationId, stationName, serial, problem) {
+    await this.sendEvent({ event: 'hub_recovered', tenant: userName, stationId, stationName, serial, problem });
+  }
+
+  async sendStaleDataAlert(mentions, userName, stationId, stationName, serial, lastObservation) {
+    await this.sendEvent({
+      event: 'stale_data',
+      tenant: userName,
+      stationId,
+      stationName,
+      serial,
+      lastObservation: new Date(lastObservation).toISOString()
+    });
+  }
+
+  async sendStaleRecoveredAlert(userName, stationId, stationName, serial) {
+    await this.sendEvent({ event: 'stale_recovered', tenant: userName, stationId, stationName, serial });
+  }
+
+  async sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, suspects) {
+    await this.sendEvent({ event: 'sensor_suspect', tenant: userName, stationId, stationName, serial, suspects });
+  }
+
+  async sendSuspectClearedAlert(userName, stationId, stationName, serial, sensors) {
+    await this.sendEvent({ event: 'sensor_suspect_cleared', tenant: userName, stationId, stationName, serial, sensors });
+  }
+
+  async sendFirmwareChangedAlert(userName, stationId, stationName, serial, previousFirmware, firmware) {
+    await this.sendEvent({ event: 'firmware_changed', tenant: userName, stationId, stationName, serial, previousFirmware, firmware });
+  }
+
+  async sendFirmwareOutdatedAlert(mentions, userName, stationId, stationName, serial, firmware, minimum) {
+    await this.sendEvent({ event: 'firmware_outdated', tenant: userName, stationId, stationName, serial, firmware, minimum });
+  }
+
+  async sendFirmwareCurrentAlert(userName, stationId, stationName, serial, firmware, minimum) {
+    await this.sendEvent({ event: 'firmware_current', tenant: userName, stationId, stationName, serial, firmware, minimum });
+  }
+
+  async sendSilenceExpiredAlert(mentions, userName, silence, problems) {
+    await this.sendEvent({ event: 'silence_expired', tenant: userName, silence, problems });
+  }
+}
+
+// Opens and resolves PagerDuty incidents through the Events v2 API. Each station's
+// offline state and each device problem gets its own dedup key, so a recovery
+// resolves exactly the incident its failure opened.
+export class PagerDutyNotifier {
+  constructor(routingKey, severity = 'error') {
+    this.routingKey = routingKey;
+    this.severity = severity;
+  }
+
+  dedupKey(userName, stationId, problem = 'offline') {
+    return `tempest-vips/${userName}/${stationId}/${problem}`;
+  }
+
+  async sendEvent(action, dedupKey, summary, details) {
+    const body = {
+      routing_key:  this.routingKey,
+      event_action: action,
+      dedup_key:    dedupKey
+    };
+    if (action === 'trigger') {
+      body.payload = {
+        summary,
+        source:         details.stationId ? `tempestwx.com/station/${details.stationId}` : `tempest-vips/${details.tenant}`,
+        severity:       this.severity,
+        component:      details.sensor || 'station',
+        group:          details.tenant,
+        custom_details: details
+      };
+    }
+
+    try {
+      await axios.post(PAGERDUTY_EVENTS_URL, body);
+    } catch (error) {
+      recordDeliveryFailure('pagerduty');
+      logger.warn('pagerduty_delivery_failed', `Failed to send PagerDuty ${action} for ${dedupKey}`, { tenant: details?.tenant, stationId: details?.stationId, error });
+    }
+  }
+
+  async sendOfflineAlert(mentions, userName, stationId, stationName, failedSensors = [], rootCause = null, failedDevices = []) {
+    const cause = rootCause ? ` - likely cause: ${rootCause}` : '';
+    await this.sendEvent(
+      'trigger',
+      this.dedupKey(userName, stationId),
+      `${userName} station ${stationId} (${stationName}) is offline${cause}`,
+      { tenant: userName, stationId, stationName, failedSensors, rootCause }
+    );
+    for (const { serial, sensors } of failedDevices) {
+      await this.sendSensorFailureAlert(mentions, userName, stationId, stationName, sensors, serial);
+    }
+  }
+
+  // One incident per device and sensor, so two devices failing the same sensor don't share one
+  async sendSensorFailureAlert(mentions, userName, stationId, stationName, sensors, serial) {
+    for (const sensor of sensors) {
+      await this.sendEvent(
+        'trigger',
+        this.dedupKey(userName, stationId, `${serial}/${sensor}`),
+        `${userName} station ${stationId} (${stationName}) ${serial} ${sensor} sensor failure`,
+        { tenant: userName, stationId, stationName, serial, sensor }
+      );
+    }
+  }
+
+  async sendRecoveryAlert(userName, stationId) {
+    await this.sendEvent('resolve', this.dedupKey(userName, stationId));
+  }
+
+  async sendSensorRecoveryAlert(userName, stationId, stationName, serial, sensors) {
+    for (const sensor of sensors) {
+      await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/${sensor}`));
+    }
+  }
+
+  async sendMonitoringDegradedAlert(mentions, userName, failedRuns, since) {
+    await this.sendEvent(
+      'trigger',
+      `tempest-vips/${userName}/monitoring`,
+      `${userName} monitoring degraded: WeatherFlow API unreachable for ${failedRuns} runs`,
+      { tenant: userName, failedRuns, since: new Date(since).toISOString() }
+    );
+  }
+
+  async sendMonitoringRestoredAlert(userName) {
+    await this.sendEvent('resolve', `tempest-vips/${userName}/monitoring`);
+  }
+
+  async sendLowPowerAlert(mentions, userName, stationId, stationName, serial, powerMode, batteryVoltage) {
+    await this.sendEvent(
+      'trigger',
+      this.dedupKey(userName, stationId, `${serial}/power`),
+      `${userName} station ${stationId} (${stationName}) ${serial} is in ${powerMode}`,
+      { tenant: userName, stationId, stationName, serial, powerMode, batteryVoltage }
+    );
+  }
+
+  async sendPowerRestoredAlert(userName, stationId, stationName, serial) {
+    await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/power`));
+  }
+
+  async sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, reason, since) {
+    const key = `${sensor}_${reason.toLowerCase()}`;
+    await this.sendEvent(
+      'trigger',
+      this.dedupKey(userName, stationId, `${serial}/${key}`),
+      `${userName} station ${stationId} (${stationName}) ${sensor} reporting ${reason} since ${new Date(since).toISOString()}`,
+      { tenant: userName, stationId, stationName, serial, sensor, reason }
+    );
+  }
+
+  async sendWarningClearedAlert(userName, stationId, stationName, serial, warningKeys) {
+    for (const key of warningKeys) {
+      await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/${key}`));
+    }
+  }
+
+  async sendHubAlert(mentions, userName, stationId, stationName, serial, problem, detail) {
+    await this.sendEvent(
+      'trigger',
+      this.dedupKey(userName, stationId, `${serial}/${problem}`),
+      `${userName} station ${stationId} (${stationName}) hub ${serial} ${detail}`,
+      { tenant: userName, stationId, stationName, serial, problem }
+    );
+  }
+
+  async sendHubRecoveredAlert(userName, stationId, stationName, serial, problem) {
+    await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/${problem}`));
+  }
+
+  async sendStaleDataAlert(mentions, userName, stationId, stationName, serial, lastObservation) {
+    const last = new Date(lastObservation).toISOString();
+    await this.sendEvent(
+      'trigger',
+      this.dedupKey(userName, stationId, `${serial}/stale`),
+      `${userName} station ${stationId} (${stationName}) ${serial} has sent no data since ${last}`,
+      { tenant: userName, stationId, stationName, serial, lastObservation: last }
+    );
+  }
+
+  async sendStaleRecoveredAlert(userName, stationId, stationName, serial) {
+    await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/stale`));
+  }
+
+  async sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, suspects) {
+    for (const { sensor, detail } of suspects) {
+      await this.sendEvent(
+        'trigger',
+        this.dedupKey(userName, stationId, `${serial}/${sensor}/suspect`),
+        `${userName} station ${stationId} (${stationName}) ${sensor} suspect: ${detail}`,
+        { tenant: userName, stationId, stationName, serial, sensor, detail }
+      );
+    }
+  }
+
+  async sendSuspectClearedAlert(userName, stationId, stationName, serial, sensors) {
+    for (const sensor of sensors) {
+      await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/${sensor}/suspect`));
+    }
+  }
+
+  // A firmware change on its own isn't something to page on
+  async sendFirmwareChangedAlert() {}
+
+  async sendFirmwareOutdatedAlert(mentions, userName, stationId, stationName, serial, firmware, minimum) {
+    await this.sendEvent(
+      'trigger',
+      this.dedupKey(userName, stationId, `${serial}/firmware`),
+      `${userName} station ${stationId} (${stationName}) ${serial} is on firmware ${firmware}, below minimum ${minimum}`,
+      { tenant: userName, stationId, stationName, serial, firmware, minimum }
+    );
+  }
+
+  async sendFirmwareCurrentAlert(userName, stationId, stationName, serial) {
+    await this.sendEvent('resolve', this.dedupKey(userName, stationId, `${serial}/firmware`));
+  }
+
+  // Alerts held during the silence never triggered, so page on what is still wrong
+  async sendSilenceExpiredAlert(mentions, userName, silence, problems) {
+    for (const { stationId, stationName, details } of problems) {
+      await this.sendEvent(
+        'trigger',
+        this.dedupKey(userName, stationId, `silence/${silence.id}`),
+        `${userName} station ${stationId} (${stationName}) still has problems after maintenance: ${details.join('; ')}`,
+        { tenant: userName, stationId, stationName, details, silence }
+      );
+    }
+  }
+}
+
+// Fans each alert out to all of a tenant's notifiers
+export class NotifierGroup {
+  constructor(notifiers, digests = []) {
+    this.notifiers = notifiers;
+    // Digests this tenant owns and flushes itself; run-wide digests are flushed by checkAll
+    this.digests = digests;
+  }
+
+  async sendOfflineAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendOfflineAlert(...args);
+  }
+
+  async sendSensorFailureAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendSensorFailureAlert(...args);
+  }
+
+  async sendRecoveryAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendRecoveryAlert(...args);
+  }
+
+  async sendSensorRecoveryAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendSensorRecoveryAlert(...args);
+  }
+
+  async sendMonitoringDegradedAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendMonitoringDegradedAlert(...args);
+  }
+
+  async sendMonitoringRestoredAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendMonitoringRestoredAlert(...args);
+  }
+
+  async sendLowPowerAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendLowPowerAlert(...args);
+  }
+
+  async sendPowerRestoredAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendPowerRestoredAlert(...args);
+  }
+
+  async sendWarningAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendWarningAlert(...args);
+  }
+
+  async sendWarningClearedAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendWarningClearedAlert(...args);
+  }
+
+  async sendHubAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendHubAlert(...args);
+  }
+
+  async sendHubRecoveredAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendHubRecoveredAlert(...args);
+  }
+
+  async sendStaleDataAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendStaleDataAlert(...args);
+  }
+
+  async sendStaleRecoveredAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendStaleRecoveredAlert(...args);
+  }
+
+  async sendSuspectSensorAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendSuspectSensorAlert(...args);
+  }
+
+  async sendSuspectClearedAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendSuspectClearedAlert(...args);
+  }
+
+  async sendFirmwareChangedAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendFirmwareChangedAlert(...args);
+  }
+
+  async sendFirmwareOutdatedAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendFirmwareOutdatedAlert(...args);
+  }
+
+  async sendFirmwareCurrentAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendFirmwareCurrentAlert(...args);
+  }
+
+  async sendSilenceExpiredAlert(...args) {
+    for (const notifier of this.notifiers) await notifier.sendSilenceExpiredAlert(...args);
+  }
+
+  addStillDown(...args) {
+    for (const notifier of this.notifiers) {
+      if (notifier instanceof SlackDigest) notifier.addStillDown(...args);
+    }
+  }
+
+  async flush() {
+    for (const digest of this.digests) await digest.flush();
+  }
+}
+
+// Build a tenant's notifiers from its `notifiers` setting. Slack sinks either post
+// one message per event, a digest for this tenant's run, or a digest shared for
+// the whole checkAll run with every other tenant posting to the same webhook.
+export function buildNotifiers(tenant, config, runDigests) {
+  const notifiers = [];
+  const digests = [];
+
+  for (const sink of tenant.notifiers) {
+    switch (sink.type) {
+      case 'slack': {
+        const webhookUrl = sink.webhookUrl || tenant.slackWebhookUrl || config.VIP_SLACK_WEBHOOK_URL;
+        const slack = new Slack(webhookUrl);
+        const digest = sink.digest || tenant.digest;
+
+        if (digest === 'tenant') {
+          const tenantDigest = new SlackDigest(slack, `${tenant.name} station alerts`);
+          notifiers.push(tenantDigest);
+          digests.push(tenantDigest);
+        } else if (digest === 'run') {
+          if (!runDigests.has(webhookUrl)) {
+            runDigests.set(webhookUrl, new SlackDigest(slack, 'VIP station alerts'));
+          }
+          notifiers.push(runDigests.get(webhookUrl));
+        } else {
+          notifiers.push(slack);
+        }
+        break;
+      }
+      case 'webhook':
+        notifiers.push(new WebhookNotifier(sink.url, sink.headers));
+        break;
+      case 'pagerduty':
+        notifiers.push(new PagerDutyNotifier(sink.routingKey, sink.severity));
+        break;
+      default:
+        throw new Error(`Unknown notifier type "${sink.type}" for ${tenant.name}`);
+    }
+  }
+
+  return new NotifierGroup(notifiers, digests);
+}
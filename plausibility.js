@@ -0,0 +1,120 @@
+import { GROUP_BASE_URL } from './constants.js';
+import { getWithRetry } from './http.js';
+import { logger } from './logger.js';
+
+// Firmware failure bits miss sensors that are stuck rather than dead, so these
+// rules look at the readings themselves. Keys match SENSOR_KEYS; any rule can be
+// overridden per tenant, and sensors without rules are not checked.
+//   flatlineHours      - every reading in the trailing window is identical
+//   min / max          - a reading outside physical bounds
+//   maxChangePerMinute - a jump between consecutive readings no real sensor makes
+export const DEFAULT_RULES = {
+  air_temperature: { flatlineHours: 6, min: -60, max: 60, maxChangePerMinute: 2 },
+  rh:              { flatlineHours: 48, min: 0, max: 100, maxChangePerMinute: 20 },
+  wind:            { flatlineHours: 12, min: 0, max: 90 },
+  pressure:        { flatlineHours: 6, min: 500, max: 1100, maxChangePerMinute: 1 }
+};
+
+// Position of each sensor's reading in the observation arrays, per device type
+const OBS_FIELDS = {
+  ST: { wind: 2, pressure: 6, air_temperature: 7, rh: 8 },
+  AR: { pressure: 1, air_temperature: 2, rh: 3 },
+  SK: { wind: 5 }
+};
+
+// A flatline only counts if the readings cover most of the window
+const MIN_WINDOW_COVERAGE = 0.9;
+
+export function resolveRules(overrides = {}) {
+  const rules = {};
+  for (const sensor of new Set([...Object.keys(DEFAULT_RULES), ...Object.keys(overrides)])) {
+    rules[sensor] = { ...DEFAULT_RULES[sensor], ...overrides[sensor] };
+  }
+  return rules;
+}
+
+function checkFlatline(samples, hours, now) {
+  const windowStart = now - hours * 3600 * 1000;
+  const recent = samples.filter(s => s.time >= windowStart);
+  if (recent.length < 3 || now - recent[0].time < hours * 3600 * 1000 * MIN_WINDOW_COVERAGE) {
+    return null;
+  }
+  const value = recent[0].value;
+  return recent.every(s => s.value === value)
+    ? `flatline at ${value} for ${hours}h`
+    : null;
+}
+
+function checkRange(samples, { min, max }) {
+  const bad = samples.find(s => (min !== undefined && s.value < min) || (max !== undefined && s.value > max));
+  return bad ? `reading ${bad.value} outside ${min}..${max}` : null;
+}
+
+function checkRateOfChange(samples, maxChangePerMinute) {
+  for (let i = 1; i < samples.length; i++) {
+    const minutes = (samples[i].time - samples[i - 1].time) / 60000;
+    if (minutes <= 0) continue;
+    const change = Math.abs(samples[i].value - samples[i - 1].value);
+    if (change / minutes > maxChangePerMinute) {
+      return `changed ${change.toFixed(1)} in ${minutes.toFixed(0)} min`;
+    }
+  }
+  return null;
+}
+
+// Run every rule for one sensor's time-ordered samples; returns the first problem found
+export function evaluateSensor(samples, rule, now = Date.now()) {
+  if (!samples.length) return null;
+  return (rule.min !== undefined || rule.max !== undefined ? checkRange(samples, rule) : null)
+    || (rule.maxChangePerMinute !== undefined ? checkRateOfChange(samples, rule.maxChangePerMinute) : null)
+    || (rule.flatlineHours !== undefined ? checkFlatline(samples, rule.flatlineHours, now) : null);
+}
+
+async function fetchObservations(deviceId, apiKey, hours, now) {
+  const end = Math.floor(now / 1000);
+  const start = end - Math.ceil(hours * 3600);
+  const resp = await getWithRetry(
+    `${GROUP_BASE_URL}/observations/device/${deviceId}?time_start=${start}&time_end=${end}&api_key=${apiKey}`
+  );
+  return Array.isArray(resp.data?.obs) ? resp.data.obs : [];
+}
+
+// Set `ds.suspects` to [{ sensor, detail }] for each device we could check,
+// or null when its observations couldn't be fetched
+export async function checkPlausibility(statuses, { rules: overrides }, sensorKeys, apiKey, now = Date.now()) {
+  const rules = resolveRules(overrides);
+
+  for (const ds of statuses) {
+    const fields = OBS_FIELDS[ds.deviceType];
+    if (!fields) continue;
+
+    const sensors = Object.keys(fields).filter(sensor => rules[sensor] && sensorKeys.includes(sensor));
+    if (!sensors.length) {
+      ds.suspects = [];
+      continue;
+    }
+
+    const windowHours = Math.max(1, ...sensors.map(sensor => rules[sensor].flatlineHours || 0));
+    let obs;
+    try {
+      obs = await fetchObservations(ds.device_id, apiKey, windowHours, now);
+    } catch (err) {
+      logger.warn('observations_fetch_failed', `Error fetching observations for device ${ds.device_id}`, { deviceId: ds.device_id, error: err });
+      ds.suspects = null;
+      continue;
+    }
+
+    ds.suspects = [];
+    for (const sensor of sensors) {
+      const samples = obs
+        .filter(row => typeof row[fields[sensor]] === 'number')
+        .map(row => ({ time: row[0] * 1000, value: row[fields[sensor]] }))
+        .sort((a, b) => a.time - b.time);
+      const detail = evaluateSensor(samples, rules[sensor], now);
+      if (detail) {
+        ds.suspects.push({ sensor, detail });
+      }
+    }
+  }
+  return statuses;
+}
@@ -0,0 +1,306 @@
+import config from './config.json' with { type: 'json' };
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadTenants } from './tenants.js';
+import { loadCacheFor, loadIncidentsFor, saveReportFor, stationIds } from './cache.js';
+import { formatDuration } from './incidents.js';
+import { Slack } from './Slack.js';
+import { logger } from './logger.js';
+
+// Uptime/SLA reports built from the incident log (and the station cache for
+// problems still open). Run on its own with
+//   node reports.js [--tenant NAME] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--no-slack]
+// or through the Lambda with { action: 'uptimeReport', tenant?, from?, to?, slack? }.
+// The range defaults to the previous calendar month (UTC). Run on its own, the
+// files go to REPORT_DIR; through the Lambda, to the cache backend under reports/.
+
+const WORST_STATIONS = 5;
+
+export function previousMonth(now = Date.now()) {
+  const d = new Date(now);
+  const from = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 1, 1);
+  const to = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1) - 1;
+  return { from, to };
+}
+
+function parseDate(value, endOfDay = false) {
+  if (typeof value === 'number') return value;
+  // Bare dates cover the whole day
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid report date ${JSON.stringify(value)}`);
+  }
+  return ms;
+}
+
+// Total length of a set of [start, end] spans clipped to the range, counting overlaps once
+function coveredMs(spans, from, to) {
+  const clipped = spans
+    .map(([start, end]) => [Math.max(start, from), Math.min(end, to)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  for (const span of clipped) {
+    if (current && span[0] <= current[1]) {
+      current[1] = Math.max(current[1], span[1]);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = span;
+    }
+  }
+  return current ? total + current[1] - current[0] : total;
+}
+
+// Turn start/end events into spans; `open` problems still running at `now` end there
+function spansFrom(events, startType, endType, keyOf, now) {
+  const spans = new Map();
+  const open = new Map();
+  const add = (key, span) => {
+    if (!spans.has(key)) spans.set(key, []);
+    spans.get(key).push(span);
+  };
+
+  for (const event of events) {
+    const key = keyOf(event);
+    if (event.type === startType) {
+      open.set(key, event.time);
+    } else if (event.type === endType) {
+      add(key, [event.since ?? open.get(key) ?? event.time, event.time]);
+      open.delete(key);
+    }
+  }
+  for (const [key, start] of open) {
+    add(key, [start, now]);
+  }
+  return spans;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function pct(upMs, periodMs) {
+  return periodMs > 0 ? (100 * upMs) / periodMs : 100;
+}
+
+export async function buildUptimeReport(tenant, { from, to }, now = Date.now()) {
+  const end = Math.min(to, now);
+  const periodMs = Math.max(0, end - from);
+
+  // Read up to now so outages that end after the range still contribute their start
+  const events = (await loadIncidentsFor(tenant.name, from, now)).sort((a, b) => a.time - b.time);
+  const cache = await loadCacheFor(tenant.name);
+
+  const names = {};
+  for (const event of events) names[event.stationId] = event.stationName;
+  const ids = [...new Set([...stationIds(cache), ...events.map(event => event.stationId)])];
+
+  const outages = spansFrom(events, 'offline', 'online', event => event.stationId, now);
+  const failures = spansFrom(events, 'sensor_failure', 'sensor_recovery', event => `${event.stationId}/${event.serial}/${event.sensor}`, now);
+
+  // Problems that started before the range and are still open show up only in the cache
+  for (const id of ids) {
+    const entry = cache.stations[id];
+    if (!entry) continue;
+    if (entry.offline && entry.offlineSince) {
+      outages.set(id, [...(outages.get(id) || []), [entry.offlineSince, now]]);
+    }
+    for (const [serial, device] of Object.entries(entry.devices)) {
+      for (const [sensor, record] of Object.entries(device.failures)) {
+        const key = `${id}/${serial}/${sensor}`;
+        if (record.failing && record.since) {
+          failures.set(key, [...(failures.get(key) || []), [record.since, now]]);
+        }
+      }
+    }
+  }
+
+  const inRange = event => event.time >= from && event.time <= to;
+  const recoveries = events.filter(event => inRange(event) && event.type === 'online' && event.durationMs !== undefined);
+
+  const stations = ids.map(id => {
+    const downtimeMs = coveredMs(outages.get(id) || [], from, end);
+    return {
+      stationId: id,
+      stationName: names[id] || id,
+      uptimePct: pct(periodMs - downtimeMs, periodMs),
+      downtimeMs,
+      outages: events.filter(event => inRange(event) && event.stationId === id && event.type === 'offline').length,
+      sensorFailures: events.filter(event => inRange(event) && event.stationId === id && event.type === 'sensor_failure').length
+    };
+  }).sort((a, b) => b.downtimeMs - a.downtimeMs || a.stationId.localeCompare(b.stationId));
+
+  // Sensor availability is failed sensor-time over one sensor per station for the period
+  const sensors = {};
+  for (const sensor of tenant.sensorKeys) {
+    const keys = [...failures.keys()].filter(key => key.endsWith(`/${sensor}`));
+    const failedMs = keys.reduce((sum, key) => sum + coveredMs(failures.get(key), from, end), 0);
+    const sensorRecoveries = events.filter(event =>
+      inRange(event) && event.type === 'sensor_recovery' && event.sensor === sensor && event.durationMs !== undefined
+    );
+    sensors[sensor] = {
+      availabilityPct: pct(ids.length * periodMs - failedMs, ids.length * periodMs),
+      failures: events.filter(event => inRange(event) && event.type === 'sensor_failure' && event.sensor === sensor).length,
+      mttrMs: mean(sensorRecoveries.map(event => event.durationMs))
+    };
+  }
+
+  const totalDowntimeMs = stations.reduce((sum, s) => sum + s.downtimeMs, 0);
+  return {
+    tenant: tenant.name,
+    from,
+    to,
+    stationCount: ids.length,
+    uptimePct: pct(ids.length * periodMs - totalDowntimeMs, ids.length * periodMs),
+    outageCount: stations.reduce((sum, s) => sum + s.outages, 0),
+    mttrMs: mean(recoveries.map(event => event.durationMs)),
+    sensors,
+    stations,
+    worst: stations.filter(s => s.downtimeMs > 0).slice(0, WORST_STATIONS)
+  };
+}
+
+const day = ms => new Date(ms).toISOString().slice(0, 10);
+const fixed = value => `${value.toFixed(2)}%`;
+const duration = ms => (ms === null ? 'n/a' : formatDuration(ms));
+
+function stationRows(stations) {
+  return stations.map(s =>
+    `| ${s.stationId} | ${s.stationName} | ${fixed(s.uptimePct)} | ${duration(s.downtimeMs)} | ${s.outages} | ${s.sensorFailures} |`
+  );
+}
+
+export function reportToMarkdown(report) {
+  const stationHeader = ['| Station | Name | Uptime | Downtime | Outages | Sensor failures |', '|---|---|---|---|---|---|'];
+  return [
+    `# ${report.tenant} uptime report`,
+    '',
+    `${day(report.from)} to ${day(report.to)} (UTC)`,
+    '',
+    '| Metric | Value |',
+    '|---|---|',
+    `| Stations | ${report.stationCount} |`,
+    `| Station uptime | ${fixed(report.uptimePct)} |`,
+    `| Outages | ${report.outageCount} |`,
+    `| Mean time to recovery | ${duration(report.mttrMs)} |`,
+    '',
+    '## Sensor availability',
+    '',
+    '| Sensor | Availability | Failures | MTTR |',
+    '|---|---|---|---|',
+    ...Object.entries(report.sensors).map(([sensor, s]) =>
+      `| ${sensor} | ${fixed(s.availabilityPct)} | ${s.failures} | ${duration(s.mttrMs)} |`
+    ),
+    '',
+    '## Worst stations',
+    '',
+    ...(report.worst.length ? [...stationHeader, ...stationRows(report.worst)] : ['No downtime in this period.']),
+    '',
+    '## All stations',
+    '',
+    ...stationHeader,
+    ...stationRows(report.stations),
+    ''
+  ].join('\n');
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function reportToCsv(report) {
+  const header = ['station_id', 'station_name', 'uptime_pct', 'downtime_minutes', 'outages', 'sensor_failures'];
+  const rows = report.stations.map(s => [
+    s.stationId,
+    s.stationName,
+    s.uptimePct.toFixed(3),
+    Math.round(s.downtimeMs / 60000),
+    s.outages,
+    s.sensorFailures
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Write the Markdown and CSV files to `dir`, or to the cache backend without one
+async function writeReportFiles(report, base, dir) {
+  const files = [
+    [`${base}.md`, reportToMarkdown(report), 'text/markdown'],
+    [`${base}.csv`, reportToCsv(report), 'text/csv']
+  ];
+  if (dir) {
+    await fs.mkdir(dir, { recursive: true });
+    for (const [name, text] of files) {
+      await fs.writeFile(path.join(dir, name), text);
+    }
+    return files.map(([name]) => path.join(dir, name));
+  }
+  const written = [];
+  for (const [name, text, contentType] of files) {
+    written.push(await saveReportFor(name, text, contentType));
+  }
+  return written;
+}
+
+// Write the report files, post the Slack summary, and return the report. The
+// summary still goes out if the files can't be written.
+export async function runUptimeReport(tenant, range, { slack = true, dir = null } = {}) {
+  const report = await buildUptimeReport(tenant, range);
+  const base = `${tenant.name}_uptime_${day(range.from)}_${day(range.to)}`;
+
+  try {
+    const written = await writeReportFiles(report, base, dir);
+    logger.info('report_written', `Wrote ${written.join(' and ')}`, { tenant: tenant.name });
+  } catch (err) {
+    logger.error('report_write_failed', `Could not write ${base} report files`, { tenant: tenant.name, error: err });
+  }
+
+  if (slack) {
+    await new Slack(tenant.slackWebhookUrl || config.VIP_SLACK_WEBHOOK_URL).sendUptimeReport(report);
+  }
+  return report;
+}
+
+export async function runUptimeReports(tenants, { tenant, from, to, slack = true, dir = null } = {}) {
+  const defaults = previousMonth();
+  const range = {
+    from: from !== undefined ? parseDate(from) : defaults.from,
+    to: to !== undefined ? parseDate(to, true) : defaults.to
+  };
+  if (range.to < range.from) {
+    throw new Error(`Report range ends before it starts: ${day(range.from)} to ${day(range.to)}`);
+  }
+
+  const selected = tenant ? tenants.filter(t => t.name === tenant) : tenants;
+  if (!selected.length) {
+    throw new Error(`Unknown tenant "${tenant}"`);
+  }
+
+  const reports = [];
+  for (const t of selected) {
+    reports.push(await runUptimeReport(t, range, { slack, dir }));
+  }
+  return reports;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--tenant': options.tenant = argv[++i]; break;
+      case '--from':   options.from = argv[++i]; break;
+      case '--to':     options.to = argv[++i]; break;
+      case '--no-slack': options.slack = false; break;
+      default:
+        throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await runUptimeReports(loadTenants(config), { dir: config.REPORT_DIR || 'reports', ...parseArgs(process.argv.slice(2)) });
+}
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import { SENSOR_KEYS } from './constants.js';
+import { loadSilencesFor, updateSilencesFor, stationIds } from './cache.js';
+import { failingSensors } from './cacheSchema.js';
+import { hubProblems, HUB_PROBLEM_LABELS } from './hubs.js';
+import { logger } from './logger.js';
+
+// A silence holds back a tenant's alerts during planned maintenance. It covers the
+// whole tenant, one station, or one sensor (on one station, or on every station
+// when stationId is null), from `start` to `end` in epoch ms. Held alerts are
+// logged, state keeps being tracked, and once a silence ends a summary of whatever
+// is still wrong in its scope goes out.
+
+export class SilenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SilenceError';
+  }
+}
+
+function parseTime(value, field) {
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) {
+    throw new SilenceError(`Silence ${field} must be epoch ms or an ISO date, got ${JSON.stringify(value)}`);
+  }
+  return ms;
+}
+
+export function createSilence({ stationId = null, sensor = null, start, end, reason, createdBy = null }, now = Date.now()) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new SilenceError('Silence needs a reason');
+  }
+  if (sensor !== null && !SENSOR_KEYS.includes(sensor)) {
+    throw new SilenceError(`Unknown sensor key "${sensor}" (expected one of ${SENSOR_KEYS.join(', ')})`);
+  }
+  const startMs = start === undefined ? now : parseTime(start, 'start');
+  const endMs = parseTime(end, 'end');
+  if (endMs <= startMs) {
+    throw new SilenceError('Silence must end after it starts');
+  }
+
+  return {
+    id: crypto.randomUUID().slice(0, 8),
+    stationId: stationId === null ? null : String(stationId),
+    sensor,
+    start: startMs,
+    end: endMs,
+    reason: reason.trim(),
+    createdBy,
+    createdAt: now
+  };
+}
+
+// Tenant-level alerts have no station, so only tenant-wide silences hold them;
+// station alerts have no sensor, so sensor silences don't hold them
+export function silenceMatches(silence, stationId, sensor = null, now = Date.now()) {
+  if (now < silence.start || now >= silence.end) return false;
+  if (silence.stationId !== null && silence.stationId !== (stationId === null ? null : String(stationId))) return false;
+  if (silence.sensor !== null && silence.sensor !== sensor) return false;
+  return true;
+}
+
+export function findSilence(silences, stationId, sensor = null, now = Date.now()) {
+  return silences.find(silence => silenceMatches(silence, stationId, sensor, now)) || null;
+}
+
+export function describeScope(silence) {
+  if (silence.stationId === null && silence.sensor === null) return 'all stations';
+  if (silence.stationId === null) return `${silence.sensor} on all stations`;
+  if (silence.sensor === null) return `station ${silence.stationId}`;
+  return `${silence.sensor} on station ${silence.stationId}`;
+}
+
+// What is still wrong inside an expired silence's scope, per station, from this run's cache
+export function unresolvedProblems(cache, silence, thresholds, stationNames = {}) {
+  const inScope = sensor => silence.sensor === null || silence.sensor === sensor;
+  const problems = [];
+
+  for (const stationId of stationIds(cache)) {
+    if (silence.stationId !== null && silence.stationId !== stationId) continue;
+    const entry = cache.stations[stationId];
+    const details = [];
+
+    if (entry.offline && silence.sensor === null) {
+      details.push('offline');
+    }
+    for (const [serial, device] of Object.entries(entry.devices)) {
+      const failures = failingSensors(device).filter(inScope);
+      if (failures.length) details.push(`${serial} sensor failures: ${failures.join(', ')}`);
+      const suspects = (device.suspects || []).filter(inScope);
+      if (suspects.length) details.push(`${serial} suspect readings: ${suspects.join(', ')}`);
+
+      if (silence.sensor !== null) continue;
+      if (device.stale) details.push(`${serial} stale data`);
+      if (device.powerAlerted) details.push(`${serial} in ${device.powerMode}`);
+      for (const problem of Object.keys(hubProblems(device, thresholds))) {
+        details.push(`hub ${serial} ${HUB_PROBLEM_LABELS[problem]}`);
+      }
+    }
+
+    if (details.length) {
+      problems.push({ stationId, stationName: stationNames[stationId] || stationId, details });
+    }
+  }
+  return problems;
+}
+
+// Drop a tenant's expired silences and return them, so the caller can summarize
+export async function expireSilences(userName, now = Date.now()) {
+  const silences = await loadSilencesFor(userName);
+  if (!silences.some(silence => silence.end <= now)) return [];
+
+  let expired = [];
+  await updateSilencesFor(userName, current => {
+    expired = current.filter(silence => silence.end <= now);
+    return current.filter(silence => silence.end > now);
+  });
+  return expired;
+}
+
+// Wraps a tenant's notifier and drops alerts that fall inside an active silence.
+// Alerts naming several sensors only lose the silenced ones.
+export class SilencingNotifier {
+  constructor(notifier, silences, now = Date.now()) {
+    this.notifier = notifier;
+    this.silences = silences;
+    this.now = now;
+  }
+
+  _held(event, userName, stationId, sensor = null) {
+    const silence = findSilence(this.silences, stationId, sensor, this.now);
+    if (silence) {
+      const what = stationId === null ? userName : `${userName} station ${stationId}${sensor ? ` ${sensor}` : ''}`;
+      logger.info('alert_held', `Held ${event} for ${what}: silenced until ${new Date(silence.end).toISOString()} (${silence.reason})`, {
+        tenant: userName,
+        stationId,
+        silenceId: silence.id
+      });
+    }
+    return Boolean(silence);
+  }
+
+  _unheld(event, userName, stationId, sensors) {
+    return sensors.filter(sensor => !this._held(event, userName, stationId, sensor));
+  }
+
+  async sendOfflineAlert(mentions, userName, stationId, ...rest) {
+    if (this._held('offline alert', userName, stationId)) return;
+    await this.notifier.sendOfflineAlert(mentions, userName, stationId, ...rest);
+  }
+
+  async sendSensorFailureAlert(mentions, userName, stationId, stationName, sensors, serial) {
+    const unheld = this._unheld('sensor failure alert', userName, stationId, sensors);
+    if (unheld.length) await this.notifier.sendSensorFailureAlert(mentions, userName, stationId, stationName, unheld, serial);
+  }
+
+  async sendRecoveryAlert(userName, stationId, ...rest) {
+    if (this._held('recovery alert', userName, stationId)) return;
+    await this.notifier.sendRecoveryAlert(userName, stationId, ...rest);
+  }
+
+  async sendSensorRecoveryAlert(userName, stationId, stationName, serial, sensors, downtimes) {
+    const unheld = this._unheld('sensor recovery alert', userName, stationId, sensors);
+    if (unheld.length) await this.notifier.sendSensorRecoveryAlert(userName, stationId, stationName, serial, unheld, downtimes);
+  }
+
+  async sendMonitoringDegradedAlert(mentions, userName, ...rest) {
+    if (this._held('monitoring degraded alert', userName, null)) return;
+    await this.notifier.sendMonitoringDegradedAlert(mentions, userName, ...rest);
+  }
+
+  async sendMonitoringRestoredAlert(userName) {
+    if (this._held('monitoring restored alert', userName, null)) return;
+    await this.notifier.sendMonitoringRestoredAlert(userName);
+  }
+
+  async sendLowPowerAlert(mentions, userName, stationId, ...rest) {
+    if (this._held('low power alert', userName, stationId)) return;
+    await this.notifier.sendLowPowerAlert(mentions, userName, stationId, ...rest);
+  }
+
+  async sendPowerRestoredAlert(userName, stationId, ...rest) {
+    if (this._held('power restored alert', userName, stationId)) return;
+    await this.notifier.sendPowerRestoredAlert(userName, stationId, ...rest);
+  }
+
+  async sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, ...rest) {
+    if (this._held('warning alert', userName, stationId, sensor)) return;
+    await this.notifier.sendWarningAlert(mentions, userName, stationId, stationName, serial, sensor, ...rest);
+  }
+
+  async sendWarningClearedAlert(userName, stationId, ...rest) {
+    if (this._held('warning cleared alert', userName, stationId)) return;
+    await this.notifier.sendWarningClearedAlert(userName, stationId, ...rest);
+  }
+
+  async sendHubAlert(mentions, userName, stationId, ...rest) {
+    if (this._held('hub alert', userName, stationId)) return;
+    await this.notifier.sendHubAlert(mentions, userName, stationId, ...rest);
+  }
+
+  async sendHubRecoveredAlert(userName, stationId, ...rest) {
+    if (this._held('hub recovered alert', userName, stationId)) return;
+    await this.notifier.sendHubRecoveredAlert(userName, stationId, ...rest);
+  }
+
+  async sendStaleDataAlert(mentions, userName, stationId, ...rest) {
+    if (this._held('stale data alert', userName, stationId)) return;
+    await this.notifier.sendStaleDataAlert(mentions, userName, stationId, ...rest);
+  }
+
+  async sendStaleRecoveredAlert(userName, stationId, ...rest) {
+    if (this._held('stale recovered alert', userName, stationId)) return;
+    await this.notifier.sendStaleRecoveredAlert(userName, stationId, ...rest);
+  }
+
+  async sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, suspects) {
+    const unheld = suspects.filter(s => !this._held('suspect sensor alert', userName, stationId, s.sensor));
+    if (unheld.length) await this.notifier.sendSuspectSensorAlert(mentions, userName, stationId, stationName, serial, unheld);
+  }
+
+  async sendSuspectClearedAlert(userName, stationId, stationName, serial, sensors) {
+    const unheld = this._unheld('suspect cleared alert', userName, stationId, sensors);
+    if (unheld.length) await this.notifier.sendSuspectClearedAlert(userName, stationId, stationName, serial, unheld);
+  }
+
+  async sendFirmwareChangedAlert(userName, stationId, ...rest) {
+    if (this._held('firmware changed alert', userName, stationId)) return;
+    await this.notifier.sendFirmwareChangedAlert(userName, stationId, ...rest);
+  }
+
+  async sendFirmwareOutdatedAlert(mentions, userName, stationId, ...rest) {
+    if (this._held('firmware outdated alert', userName, stationId)) return;
+    await this.notifier.sendFirmwareOutdatedAlert(mentions, userName, stationId, ...rest);
+  }
+
+  async sendFirmwareCurrentAlert(userName, stationId, ...rest) {
+    if (this._held('firmware current alert', userName, stationId)) return;
+    await this.notifier.sendFirmwareCurrentAlert(userName, stationId, ...rest);
+  }
+
+  // Expiry summaries go out precisely because the silence is over
+  async sendSilenceExpiredAlert(...args) {
+    await this.notifier.sendSilenceExpiredAlert(...args);
+  }
+
+  addStillDown(userName, stationId, ...rest) {
+    if (findSilence(this.silences, stationId, null, this.now)) return;
+    this.notifier.addStillDown(userName, stationId, ...rest);
+  }
+
+  async flush() {
+    await this.notifier.flush();
+  }
+}
+
+// Lambda events that manage silences instead of running a check:
+//   { action: 'silence', tenant, stationId?, sensor?, start?, end, reason, createdBy? }
+//   { action: 'unsilence', tenant, id }
+//   { action: 'listSilences', tenant }
+export async function handleSilenceEvent(event, tenants, now = Date.now()) {
+  const tenant = tenants.find(t => t.name === event.tenant);
+  if (!tenant) {
+    throw new SilenceError(`Unknown tenant "${event.tenant}"`);
+  }
+
+  switch (event.action) {
+    case 'silence': {
+      const silence = createSilence(event, now);
+      await updateSilencesFor(tenant.name, silences => [...silences, silence]);
+      logger.info('silence_created', `Silenced ${tenant.name} ${describeScope(silence)} until ${new Date(silence.end).toISOString()}: ${silence.reason}`, {
+        tenant: tenant.name,
+        silenceId: silence.id
+      });
+      return silence;
+    }
+    case 'unsilence': {
+      // End it now rather than deleting it, so the next run still sends the summary;
+      // silences that haven't started yet are simply dropped
+      let ended = null;
+      await updateSilencesFor(tenant.name, silences => {
+        ended = silences.find(silence => silence.id === event.id) || null;
+        return silences
+          .filter(silence => silence.id !== event.id || silence.start <= now)
+          .map(silence => (silence.id === event.id ? { ...silence, end: Math.min(silence.end, now) } : silence));
+      });
+      if (!ended) {
+        throw new SilenceError(`No silence ${event.id} for ${tenant.name}`);
+      }
+      logger.info('silence_ended', `Ended ${tenant.name} silence ${ended.id} (${describeScope(ended)})`, { tenant: tenant.name, silenceId: ended.id });
+      return ended;
+    }
+    case 'listSilences':
+      return loadSilencesFor(tenant.name);
+    default:
+      throw new SilenceError(`Unknown action "${event.action}"`);
+  }
+}
@@ -0,0 +1,35 @@
+import { GROUP_BASE_URL } from './constants.js';
+import { getWithRetry } from './http.js';
+import { logger } from './logger.js';
+
+// Latest observation time (ms) for a device from the observations endpoint, or null
+async function fetchLastObservation(deviceId, apiKey) {
+  try {
+    const resp = await getWithRetry(`${GROUP_BASE_URL}/observations/device/${deviceId}?api_key=${apiKey}`);
+    const epoch = resp.data?.obs?.[0]?.[0];
+    return typeof epoch === 'number' ? epoch * 1000 : null;
+  } catch (err) {
+    logger.warn('observations_fetch_failed', `Error fetching observations for device ${deviceId}`, { deviceId, error: err });
+    return null;
+  }
+}
+
+// Flag devices on an online station that haven't sent an observation within their
+// device type's threshold. Devices without a last-observation time in the diagnostics
+// payload fall back to the observations endpoint; if that fails too `stale` is null,
+// meaning unknown, and the cache keeps the device's previous staleness.
+export async function markStaleDevices(statuses, staleMinutes, apiKey, now = Date.now()) {
+  for (const ds of statuses) {
+    const minutes = staleMinutes[ds.deviceType];
+    if (!minutes) {
+      ds.stale = false;
+      continue;
+    }
+
+    if (ds.lastObservation === null) {
+      ds.lastObservation = await fetchLastObservation(ds.device_id, apiKey);
+    }
+    ds.stale = ds.lastObservation !== null ? now - ds.lastObservation > minutes * 60 * 1000 : null;
+  }
+  return statuses;
+}
@@ -0,0 +1,69 @@
+import { GROUP_BASE_URL } from './constants.js';
+import { metric } from './metrics.js';
+
+// Run-level telemetry about the monitor itself: WeatherFlow API latency and
+// errors per endpoint, and alert/metric deliveries that failed. Counters are
+// module-level because requests and deliveries happen deep inside tenants;
+// checkAll resets them at the start of every run and reports them at the end.
+
+// Metrics about the run rather than a tenant go out under this name
+export const MONITOR_TENANT = 'MONITOR';
+
+let api = new Map();
+let deliveryFailures = {};
+
+export function resetTelemetry() {
+  api = new Map();
+  deliveryFailures = {};
+}
+
+// "diagnostics" for .../swd/rest/diagnostics/123?api_key=..., otherwise the host
+export function endpointOf(url) {
+  if (url.startsWith(GROUP_BASE_URL)) {
+    return url.slice(GROUP_BASE_URL.length).split(/[/?]/).filter(Boolean)[0] || 'root';
+  }
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// One request attempt; retries are recorded separately so errors aren't hidden by a later success
+export function recordApiCall(url, ms, ok) {
+  const endpoint = endpointOf(url);
+  if (!api.has(endpoint)) {
+    api.set(endpoint, { requests: 0, errors: 0, totalMs: 0, maxMs: 0 });
+  }
+  const stats = api.get(endpoint);
+  stats.requests++;
+  stats.totalMs += ms;
+  stats.maxMs = Math.max(stats.maxMs, ms);
+  if (!ok) stats.errors++;
+}
+
+// `kind` is the sink that failed: slack, webhook, pagerduty or metrics
+export function recordDeliveryFailure(kind) {
+  deliveryFailures[kind] = (deliveryFailures[kind] || 0) + 1;
+}
+
+export function buildTelemetryMetricLines(functionName, timestamp, runDurationMs) {
+  const m = (pattern, value, labels, name) => metric(MONITOR_TENANT, functionName, timestamp, pattern, value, labels, name);
+  const lines = [
+    m('heartbeat', 1),
+    m('run_duration_ms', Math.round(runDurationMs))
+  ];
+
+  for (const [endpoint, stats] of api) {
+    const labels = { endpoint };
+    lines.push(m('api_{endpoint}_request_count', stats.requests, labels));
+    lines.push(m('api_{endpoint}_error_count', stats.errors, labels));
+    lines.push(m('api_{endpoint}_latency_avg_ms', Math.round(stats.totalMs / stats.requests), labels));
+    lines.push(m('api_{endpoint}_latency_max_ms', Math.round(stats.maxMs), labels));
+  }
+
+  for (const kind of ['slack', 'webhook', 'pagerduty', 'metrics']) {
+    lines.push(m('delivery_{kind}_failure_count', deliveryFailures[kind] || 0, { kind }));
+  }
+  return lines;
+}
@@ -0,0 +1,351 @@
+import fs from 'fs';
+import { SENSOR_KEYS } from './constants.js';
+import { DEVICE_REGISTRY } from './deviceRegistry.js';
+import { addSecrets } from './logger.js';
+
+const DEFAULT_REGISTRY_PATH = new URL('./tenants.json', import.meta.url);
+
+const TENANT_NAME_PATTERN = /^[A-Z0-9_]+$/;
+const SLACK_USER_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+const WEBHOOK_URL_PATTERN = /^https?:\/\/\S+$/;
+
+const TENANT_KEYS = [
+  'name',
+  'apiKey',
+  'apiKeyConfig',
+  'alertUserIds',
+  'alertsOn',
+  'slackWebhookUrl',
+  'thresholds',
+  'sensorKeys',
+  'digest',
+  'notifiers',
+  'staleMinutes',
+  'minFirmware',
+  'plausibility',
+  'stationMetrics'
+];
+
+// Settings that identify a tenant rather than tune it, so they can't be defaults
+const IDENTITY_KEYS = ['name', 'apiKey', 'apiKeyConfig'];
+
+// Thresholds that are allowed to be negative, like dBm signal levels
+const SIGNED_THRESHOLDS = ['hubWeakRssi'];
+
+const PLAUSIBILITY_RULE_KEYS = ['flatlineHours', 'min', 'max', 'maxChangePerMinute'];
+
+const DIGEST_MODES = ['off', 'tenant', 'run'];
+const STATION_METRIC_MODES = ['none', 'problems', 'all'];
+const PAGERDUTY_SEVERITIES = ['critical', 'error', 'warning', 'info'];
+
+const DEFAULT_SETTINGS = {
+  alertUserIds: [],
+  alertsOn: false,
+  slackWebhookUrl: null,
+  thresholds: {
+    offlineAlertRuns: 1,
+    failureAlertRuns: 1,
+    recoveryAlertRuns: 1,
+    degradedAlertRuns: 3,
+    lowPowerAlertLevel: 3,
+    warningAlertHours: 0,
+    hubRebootAlertCount: 3,
+    hubWeakRssi: -80
+  },
+  sensorKeys: SENSOR_KEYS,
+  digest: 'off',
+  notifiers: [{ type: 'slack' }],
+  // Minutes without an observation before a device counts as stale, per device type
+  staleMinutes: { ST: 30, AR: 30, SK: 30 },
+  // Lowest acceptable firmware revision per device type; types not listed aren't checked
+  minFirmware: {},
+  // Observation-based stuck sensor checks; off by default as they cost an extra request per device
+  plausibility: { enabled: false, rules: {} },
+  // Per-station (and optionally per-device) metric series; `stations` is a mode or a list of station IDs
+  stationMetrics: { stations: 'none', devices: false, maxStations: 100 }
+};
+
+export class TenantRegistryError extends Error {
+  constructor(source, errors) {
+    super(`Invalid tenant registry ${source}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'TenantRegistryError';
+    this.errors = errors;
+  }
+}
+
+// Check the settings a tenant (or the registry defaults) may override
+function validateSettings(settings, where, errors) {
+  const { alertUserIds, alertsOn, slackWebhookUrl, thresholds, sensorKeys, digest, staleMinutes, minFirmware, plausibility, stationMetrics } = settings;
+
+  if (alertUserIds !== undefined) {
+    if (!Array.isArray(alertUserIds)) {
+      errors.push(`${where}: alertUserIds must be an array of Slack user IDs`);
+    } else {
+      for (const id of alertUserIds) {
+        if (typeof id !== 'string' || !SLACK_USER_ID_PATTERN.test(id)) {
+          errors.push(`${where}: "${id}" is not a valid Slack user ID`);
+        }
+      }
+    }
+  }
+
+  if (alertsOn !== undefined && typeof alertsOn !== 'boolean') {
+    errors.push(`${where}: alertsOn must be true or false`);
+  }
+
+  if (slackWebhookUrl !== undefined && slackWebhookUrl !== null) {
+    if (typeof slackWebhookUrl !== 'string' || !WEBHOOK_URL_PATTERN.test(slackWebhookUrl)) {
+      errors.push(`${where}: slackWebhookUrl must be an http(s) URL`);
+    }
+  }
+
+  if (thresholds !== undefined) {
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      errors.push(`${where}: thresholds must be an object`);
+    } else {
+      for (const [key, value] of Object.entries(thresholds)) {
+        if (!(key in DEFAULT_SETTINGS.thresholds)) {
+          errors.push(`${where}: unknown threshold "${key}" (expected one of ${Object.keys(DEFAULT_SETTINGS.thresholds).join(', ')})`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${where}: threshold "${key}" must be a number`);
+        } else if (value < 0 && !SIGNED_THRESHOLDS.includes(key)) {
+          errors.push(`${where}: threshold "${key}" must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  if (staleMinutes !== undefined) {
+    if (!staleMinutes || typeof staleMinutes !== 'object' || Array.isArray(staleMinutes)) {
+      errors.push(`${where}: staleMinutes must be an object of device type to minutes`);
+    } else {
+      for (const [deviceType, minutes] of Object.entries(staleMinutes)) {
+        if (!(deviceType in DEVICE_REGISTRY.deviceTypes)) {
+          errors.push(`${where}: staleMinutes has unknown device type "${deviceType}"`);
+        }
+        if (typeof minutes !== 'number' || !(minutes >= 0)) {
+          errors.push(`${where}: staleMinutes.${deviceType} must be a non-negative number (0 turns it off)`);
+        }
+      }
+    }
+  }
+
+  if (minFirmware !== undefined) {
+    if (!minFirmware || typeof minFirmware !== 'object' || Array.isArray(minFirmware)) {
+      errors.push(`${where}: minFirmware must be an object of device type to firmware revision`);
+    } else {
+      for (const [deviceType, revision] of Object.entries(minFirmware)) {
+        if (!(deviceType in DEVICE_REGISTRY.deviceTypes)) {
+          errors.push(`${where}: minFirmware has unknown device type "${deviceType}"`);
+        }
+        if (!Number.isInteger(revision) || revision < 0) {
+          errors.push(`${where}: minFirmware.${deviceType} must be a non-negative integer revision`);
+        }
+      }
+    }
+  }
+
+  if (plausibility !== undefined) {
+    const { enabled, rules = {} } = plausibility || {};
+    if (typeof enabled !== 'boolean') {
+      errors.push(`${where}: plausibility.enabled must be true or false`);
+    }
+    for (const [sensor, rule] of Object.entries(rules)) {
+      if (!SENSOR_KEYS.includes(sensor)) {
+        errors.push(`${where}: plausibility rule for unknown sensor key "${sensor}"`);
+      }
+      for (const [key, value] of Object.entries(rule || {})) {
+        if (!PLAUSIBILITY_RULE_KEYS.includes(key) || typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${where}: plausibility.rules.${sensor}.${key} must be one of ${PLAUSIBILITY_RULE_KEYS.join(', ')} with a number`);
+        }
+      }
+    }
+  }
+
+  if (stationMetrics !== undefined) {
+    const { stations, devices, maxStations } = stationMetrics || {};
+    const stationList = Array.isArray(stations) && stations.every(id => /^\d+$/.test(String(id)));
+    if (stations !== undefined && !STATION_METRIC_MODES.includes(stations) && !stationList) {
+      errors.push(`${where}: stationMetrics.stations must be one of ${STATION_METRIC_MODES.join(', ')} or a list of station IDs`);
+    }
+    if (devices !== undefined && typeof devices !== 'boolean') {
+      errors.push(`${where}: stationMetrics.devices must be true or false`);
+    }
+    if (maxStations !== undefined && (!Number.isInteger(maxStations) || maxStations < 0)) {
+      errors.push(`${where}: stationMetrics.maxStations must be a non-negative integer`);
+    }
+  }
+
+  if (digest !== undefined && !DIGEST_MODES.includes(digest)) {
+    errors.push(`${where}: digest must be one of ${DIGEST_MODES.join(', ')}`);
+  }
+
+  if (sensorKeys !== undefined) {
+    if (!Array.isArray(sensorKeys) || sensorKeys.length === 0) {
+      errors.push(`${where}: sensorKeys must be a non-empty array`);
+    } else {
+      for (const key of sensorKeys) {
+        if (!SENSOR_KEYS.includes(key)) {
+          errors.push(`${where}: unknown sensor key "${key}" (expected one of ${SENSOR_KEYS.join(', ')})`);
+        }
+      }
+    }
+  }
+}
+
+// A misspelt setting would otherwise be ignored in favour of its default
+function checkKeys(settings, allowed, where, errors) {
+  for (const key of Object.keys(settings)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${where}: unknown setting "${key}"`);
+    }
+  }
+}
+
+// Check a tenant's alert sinks, resolving PagerDuty routing keys referenced from config.json
+function resolveNotifiers(notifiers, where, errors, config) {
+  if (!Array.isArray(notifiers) || notifiers.length === 0) {
+    errors.push(`${where}: notifiers must be a non-empty array`);
+    return [];
+  }
+
+  return notifiers.map((sink, i) => {
+    const at = `${where}: notifiers[${i}]`;
+    if (!sink || typeof sink !== 'object') {
+      errors.push(`${at} must be an object`);
+      return sink;
+    }
+
+    switch (sink.type) {
+      case 'slack':
+        if (sink.webhookUrl !== undefined && !WEBHOOK_URL_PATTERN.test(sink.webhookUrl)) {
+          errors.push(`${at}: webhookUrl must be an http(s) URL`);
+        }
+        if (sink.digest !== undefined && !DIGEST_MODES.includes(sink.digest)) {
+          errors.push(`${at}: digest must be one of ${DIGEST_MODES.join(', ')}`);
+        }
+        return sink;
+      case 'webhook':
+        if (typeof sink.url !== 'string' || !WEBHOOK_URL_PATTERN.test(sink.url)) {
+          errors.push(`${at}: url must be an http(s) URL`);
+        }
+        if (sink.headers !== undefined && (typeof sink.headers !== 'object' || Array.isArray(sink.headers))) {
+          errors.push(`${at}: headers must be an object`);
+        }
+        return sink;
+      case 'pagerduty': {
+        const { routingKeyConfig, ...rest } = sink;
+        const routingKey = sink.routingKey ?? config[routingKeyConfig];
+        if (typeof routingKey !== 'string' || routingKey.length === 0) {
+          errors.push(routingKeyConfig
+            ? `${at}: routing key "${routingKeyConfig}" is missing from config.json`
+            : `${at}: missing routingKey (set routingKey or routingKeyConfig)`);
+        }
+        if (sink.severity !== undefined && !PAGERDUTY_SEVERITIES.includes(sink.severity)) {
+          errors.push(`${at}: severity must be one of ${PAGERDUTY_SEVERITIES.join(', ')}`);
+        }
+        return { ...rest, routingKey };
+      }
+      default:
+        errors.push(`${at}: type must be slack, webhook or pagerduty`);
+        return sink;
+    }
+  });
+}
+
+// Validate a parsed registry and resolve it into the tenant list processUser expects
+export function validateTenants(registry, config = {}, source = 'tenants.json') {
+  const errors = [];
+
+  if (!registry || typeof registry !== 'object' || !Array.isArray(registry.tenants)) {
+    throw new TenantRegistryError(source, ['expected an object with a "tenants" array']);
+  }
+
+  const defaults = registry.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    throw new TenantRegistryError(source, ['"defaults" must be an object']);
+  }
+  checkKeys(defaults, TENANT_KEYS.filter(key => !IDENTITY_KEYS.includes(key)), 'defaults', errors);
+  validateSettings(defaults, 'defaults', errors);
+
+  const seen = new Set();
+  const tenants = [];
+
+  registry.tenants.forEach((raw, i) => {
+    const where = raw && typeof raw.name === 'string' ? `tenant ${raw.name}` : `tenants[${i}]`;
+
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    checkKeys(raw, TENANT_KEYS, where, errors);
+
+    if (typeof raw.name !== 'string' || !TENANT_NAME_PATTERN.test(raw.name)) {
+      errors.push(`${where}: name must be upper-case letters, digits or underscores`);
+    } else if (seen.has(raw.name)) {
+      errors.push(`${where}: duplicate tenant name`);
+    } else {
+      seen.add(raw.name);
+    }
+
+    // The key itself can live inline or be referenced from config.json
+    let apiKey = raw.apiKey;
+    if (apiKey === undefined && raw.apiKeyConfig !== undefined) {
+      apiKey = config[raw.apiKeyConfig];
+      if (!apiKey) {
+        errors.push(`${where}: API key "${raw.apiKeyConfig}" is missing from config.json`);
+      }
+    } else if (typeof apiKey !== 'string' || apiKey.length === 0) {
+      errors.push(`${where}: missing API key (set apiKey or apiKeyConfig)`);
+    }
+
+    validateSettings(raw, where, errors);
+
+    const notifiers = resolveNotifiers(
+      raw.notifiers ?? defaults.notifiers ?? DEFAULT_SETTINGS.notifiers,
+      where,
+      errors,
+      config
+    );
+
+    tenants.push({
+      ...DEFAULT_SETTINGS,
+      ...defaults,
+      ...raw,
+      thresholds: { ...DEFAULT_SETTINGS.thresholds, ...defaults.thresholds, ...raw.thresholds },
+      staleMinutes: { ...DEFAULT_SETTINGS.staleMinutes, ...defaults.staleMinutes, ...raw.staleMinutes },
+      minFirmware: { ...DEFAULT_SETTINGS.minFirmware, ...defaults.minFirmware, ...raw.minFirmware },
+      plausibility: { ...DEFAULT_SETTINGS.plausibility, ...defaults.plausibility, ...raw.plausibility },
+      stationMetrics: { ...DEFAULT_SETTINGS.stationMetrics, ...defaults.stationMetrics, ...raw.stationMetrics },
+      notifiers,
+      apiKey
+    });
+  });
+
+  if (errors.length) {
+    throw new TenantRegistryError(source, errors);
+  }
+
+  return tenants.map(({ apiKeyConfig, ...tenant }) => tenant);
+}
+
+export function loadTenants(config = {}, path = config.TENANTS_FILE || DEFAULT_REGISTRY_PATH) {
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new TenantRegistryError(String(path), [`could not read registry: ${err.message}`]);
+  }
+  const tenants = validateTenants(registry, config, String(path));
+
+  // Keep every tenant's credentials out of the logs
+  for (const tenant of tenants) {
+    addSecrets(tenant.apiKey, tenant.slackWebhookUrl);
+    for (const sink of tenant.notifiers) {
+      addSecrets(sink.webhookUrl, sink.url, sink.routingKey, Object.values(sink.headers || {}));
+    }
+  }
+  addSecrets(config.VIP_SLACK_WEBHOOK_URL);
+  return tenants;
+}
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ConsoleNotifier } from '../notifiers.js';
+import { SlackDigest } from '../SlackDigest.js';
+
+// Prints each digest, failing the first `failures` posts
+class FlakySlack extends ConsoleNotifier {
+  constructor(failures = 0) {
+    super(text => this.posted.push(text));
+    this.posted = [];
+    this.failures = failures;
+  }
+
+  async sendBlocks(text, blocks) {
+    if (this.failures > 0) {
+      this.failures--;
+      return false;
+    }
+    return super.sendBlocks(text, blocks);
+  }
+}
+
+describe('SlackDigest', () => {
+  it("doesn't send the same events again when reused", async () => {
+    const slack = new FlakySlack();
+    const digest = new SlackDigest(slack, 'VIP station alerts');
+    await digest.sendOfflineAlert('<@UTESTER1> ', 'TEST', '101', 'Test Ridge');
+    await digest.flush();
+    await digest.flush();
+    await digest.sendRecoveryAlert('TEST', '101', 'Test Ridge', 600000);
+    await digest.flush();
+
+    assert.deepEqual(slack.posted, [
+      '<@UTESTER1> VIP station alerts - New offline: 1',
+      'VIP station alerts - Recovered: 1'
+    ]);
+  });
+
+  it('keeps the events when the post fails', async () => {
+    const slack = new FlakySlack(1);
+    const digest = new SlackDigest(slack, 'VIP station alerts');
+    await digest.sendOfflineAlert('<@UTESTER1> ', 'TEST', '101', 'Test Ridge');
+    await digest.flush();
+    await digest.flush();
+
+    assert.deepEqual(slack.posted, ['<@UTESTER1> VIP station alerts - New offline: 1']);
+  });
+});
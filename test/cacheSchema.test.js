@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createHarness, START } from './harness.js';
+import { CacheCorruptError } from '../cacheStores.js';
+import { CacheVersionError, upgradeStationCache } from '../cacheSchema.js';
+
+const CACHE_KEY = 'TEST_stationOfflineCache.json';
+
+describe('upgradeStationCache', () => {
+  it('migrates the flat version 1 layout', () => {
+    const cache = upgradeStationCache({
+      _monitor: { unreachableRuns: 2, degradedAlerted: false },
+      101: {
+        offline: false,
+        offlineRuns: 0,
+        onlineRuns: 3,
+        offlineAlerted: false,
+        'SK-00065432': {
+          failures: ['wind'],
+          failureRuns: { wind: 4 },
+          failureSince: { wind: START },
+          alerted: ['wind', 'rain'],
+          clearRuns: { rain: 1 },
+          lastFailure: {},
+          warnings: []
+        }
+      },
+      // The oldest entries only had `offline` and `failures`
+      102: { offline: true, 'AR-00054321': { failures: ['temperature'] } }
+    }, CACHE_KEY);
+
+    assert.equal(cache.schemaVersion, 2);
+    assert.deepEqual(cache.monitor, { unreachableRuns: 2, degradedAlerted: false });
+    assert.deepEqual(cache.stations['101'].devices['SK-00065432'], {
+      deviceType: 'SK',
+      updatedAt: null,
+      warnings: [],
+      failures: {
+        wind: { failing: true, since: START, runs: 4, alerted: true, clearRuns: 0 },
+        rain: { failing: false, since: null, runs: 0, alerted: true, clearRuns: 1 }
+      },
+      lastFailure: {}
+    });
+    assert.deepEqual(cache.stations['102'], {
+      offline: true,
+      offlineRuns: 1,
+      onlineRuns: 0,
+      offlineAlerted: true,
+      updatedAt: null,
+      devices: {
+        'AR-00054321': {
+          deviceType: 'AR',
+          updatedAt: null,
+          failures: { temperature: { failing: true, since: null, runs: 1, alerted: true, clearRuns: 0 } },
+          lastFailure: {}
+        }
+      }
+    });
+  });
+
+  it("rejects a structure it can't use as corrupt", () => {
+    assert.throws(() => upgradeStationCache([], CACHE_KEY), CacheCorruptError);
+    assert.throws(() => upgradeStationCache({ 101: 'offline' }, CACHE_KEY), CacheCorruptError);
+    assert.throws(
+      () => upgradeStationCache({ schemaVersion: 2, monitor: {}, stations: { 101: { offline: false } } }, CACHE_KEY),
+      { name: 'CacheCorruptError', message: `Cache object ${CACHE_KEY} is corrupt: station 101 is not a station record` }
+    );
+  });
+
+  it('refuses a version newer than it knows', () => {
+    assert.throws(() => upgradeStationCache({ schemaVersion: 3, stations: {} }, CACHE_KEY), CacheVersionError);
+  });
+});
+
+describe('unreadable cache on a run', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it('quarantines a corrupt cache and starts over', async () => {
+    h.store.objects.set(CACHE_KEY, { body: '{"101": {"offline"', version: 'corrupt' });
+    const { cache } = await h.run('healthy');
+
+    assert.deepEqual(Object.keys(cache.stations), ['101', '102']);
+    const quarantined = await h.read(`TEST_stationOfflineCache.corrupt-${new Date(START).toISOString().replace(/[:.]/g, '-')}.json`);
+    assert.equal(quarantined.body, '{"101": {"offline"');
+    assert.match(quarantined.reason, /is corrupt: not valid JSON/);
+  });
+
+  it('skips the tenant rather than overwrite a newer schema', async () => {
+    h.store.objects.set(CACHE_KEY, { body: JSON.stringify({ schemaVersion: 3, stations: {} }), version: 'newer' });
+    const { alerts, cache, result } = await h.run('ridge-offline');
+
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(result.stations, []);
+    assert.deepEqual(cache, { schemaVersion: 3, stations: {} });
+  });
+
+  it('skips the tenant when the cache backend fails', async () => {
+    h.store.objects.delete(CACHE_KEY);
+    const before = (await h.run('healthy')).cache;
+    const read = h.store.read;
+    h.store.read = async key => {
+      if (key !== CACHE_KEY) return read.call(h.store, key);
+      h.store.read = read;
+      throw new Error('503 Slow Down');
+    };
+    const { alerts, cache, metrics, result } = await h.run('ridge-offline');
+
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(result.stations, []);
+    assert.deepEqual(cache, before);
+    // Reported in place of the usual metrics, so the outage doesn't go unnoticed
+    assert.deepEqual(metrics, [`vip.test_cache_unavailable.vip-lambda-julian,${Date.now() / 1000},1`]);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import DeviceStatus from '../DeviceStatus.js';
+import { DEVICE_REGISTRY, DeviceRegistryError, validateDeviceRegistry } from '../deviceRegistry.js';
+
+const device = (serial, sensorStatus) => ({ device_id: 1, serial_number: serial, sensor_status: sensorStatus, firmware_revision: 171 });
+
+describe('device registry', () => {
+  it('resolves flag names to bits', () => {
+    const [precip] = DEVICE_REGISTRY.deviceTypes.SK.sensors.filter(s => s.key === 'precip');
+    assert.deepEqual(precip.flags, [{ flag: 0x80, name: 'SKY_PRECIP_FAIL', type: 'error' }]);
+    assert.equal(DeviceStatus.SENSOR_STATUS_FLAGS.SKY_WIND_FAILED, 0x40);
+  });
+
+  it('detects precip failures on Sky and Tempest devices', () => {
+    const statuses = DeviceStatus.processDevices([device('SK-00000001', 0x80), device('ST-00000001', 0x80)]);
+    assert.deepEqual(statuses.map(s => [s.sensorStatus, s.failures]), [
+      ['failure', [{ sensor: 'precip', reason: 'precip' }]],
+      ['failure', [{ sensor: 'precip', reason: 'precip' }]]
+    ]);
+  });
+
+  it('takes warning keys from the registry', () => {
+    const { warningKeys } = validateDeviceRegistry({
+      flags: { WIND_FAILED: '0x40', WIND_ICED: '0x80' },
+      deviceTypes: {
+        SK: {
+          sensors: [{
+            label: 'Wind',
+            key: 'wind',
+            flags: [{ flag: 'WIND_FAILED', type: 'error' }, { flag: 'WIND_ICED', failedText: 'Iced', type: 'warning' }]
+          }]
+        }
+      }
+    });
+    assert.deepEqual(warningKeys, ['wind_iced']);
+    assert.deepEqual(DEVICE_REGISTRY.warningKeys, ['lightning_disturber', 'lightning_noise']);
+  });
+
+  it('rejects warnings that would make bad metric names, or repeat', () => {
+    const registry = {
+      flags: { WIND_ICED: '0x80', WIND_FROZEN: '0x100', WIND_GUSTY: '0x200' },
+      deviceTypes: {
+        SK: {
+          sensors: [{
+            label: 'Wind',
+            key: 'wind',
+            flags: [
+              { flag: 'WIND_ICED', failedText: 'Iced', type: 'warning' },
+              { flag: 'WIND_FROZEN', failedText: 'iced', type: 'warning' },
+              { flag: 'WIND_GUSTY', failedText: 'too gusty', type: 'warning' }
+            ]
+          }]
+        }
+      }
+    };
+
+    assert.throws(() => validateDeviceRegistry(registry), err => {
+      assert.deepEqual(err.errors, [
+        'deviceTypes.SK.sensors[0].flags[2]: warning flags need a failedText of letters and digits, e.g. "Noise"',
+        'deviceTypes.SK.sensors[0]: duplicate warning "wind_iced"'
+      ]);
+      return true;
+    });
+  });
+
+  it('lists every problem with a bad registry', () => {
+    const registry = {
+      flags: { WIND_FAILED: '0x40', WIND_DUPLICATE: 64, RAIN_FAILED: 'lots' },
+      deviceTypes: {
+        SK: {
+          sensors: [
+            { label: 'Wind', key: 'wind', flags: [{ flag: 'WIND_FAILED', type: 'error' }] },
+            { label: 'Gust', key: 'wind', flags: [{ flag: 'GUST_FAILED', type: 'error' }] },
+            { label: 'Snow', key: 'snow', flags: [{ flag: 'WIND_FAILED', type: 'error' }] }
+          ]
+        }
+      }
+    };
+
+    assert.throws(() => validateDeviceRegistry(registry), err => {
+      assert.ok(err instanceof DeviceRegistryError);
+      assert.deepEqual(err.errors, [
+        'flags.WIND_DUPLICATE: duplicate bit 64 (already WIND_FAILED)',
+        'flags.RAIN_FAILED: must be a 32-bit value, e.g. "0x00000040"',
+        'deviceTypes.SK.sensors[1].flags[0]: unknown flag "GUST_FAILED"',
+        'deviceTypes.SK.sensors[1]: duplicate sensor key "wind"',
+        'deviceTypes.SK.sensors[2].flags[0]: error flags need a sensor key from SENSOR_KEYS (air_temperature, rh, lightning, wind, precip, light_uv, pressure), got "snow"'
+      ]);
+      return true;
+    });
+  });
+});
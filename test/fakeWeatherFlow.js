@@ -0,0 +1,134 @@
+import fs from 'fs';
+import http from 'http';
+
+// A local stand-in for the WeatherFlow REST API that replays recorded payloads,
+// and records every other outbound request (Slack, webhooks, metrics) so tests
+// can assert on them. The harness rewrites all axios requests to this server and
+// passes the original host in X-Fake-Host.
+
+export const WEATHERFLOW_HOST = 'swd.weatherflow.com';
+const API_PREFIX = '/swd/rest';
+
+// Recordings written by test/record.js:
+//   { recordedAt, stations, diagnostics: { [stationId]: payload }, observations: { [deviceId]: payload } }
+export function loadRecording(name) {
+  return JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// Move observation times forward by however long ago the recording was made,
+// so recorded devices aren't stale when replayed
+function rebase(recording, nowSeconds) {
+  const shift = nowSeconds - recording.recordedAt;
+  const devices = Object.fromEntries(Object.entries(recording.diagnostics || {}).map(([id, payload]) => [
+    id,
+    {
+      ...payload,
+      devices: payload.devices?.map(device => {
+        const moved = { ...device };
+        for (const key of ['last_ob_epoch', 'last_observation_epoch']) {
+          if (typeof moved[key] === 'number') moved[key] += shift;
+        }
+        return moved;
+      })
+    }
+  ]));
+  const observations = Object.fromEntries(Object.entries(recording.observations || {}).map(([id, payload]) => [
+    id,
+    { ...payload, obs: payload.obs?.map(([epoch, ...rest]) => [epoch + shift, ...rest]) }
+  ]));
+  return { ...recording, diagnostics: devices, observations };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export class FakeWeatherFlow {
+  constructor() {
+    this.recording = { stations: { stations: [] }, diagnostics: {}, observations: {} };
+    // "<path>" -> HTTP status to fail with instead of replaying
+    this.failures = new Map();
+    this.apiRequests = [];
+    this.captured = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(err.stack);
+      });
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Serve `recording` until the next replay, with its observation times moved to now
+  replay(recording) {
+    this.recording = rebase(recording, Math.floor(Date.now() / 1000));
+    this.failures.clear();
+  }
+
+  // Fail requests for `path` (e.g. "/diagnostics/101") with `status` until the next replay
+  fail(path, status = 503) {
+    this.failures.set(path, status);
+  }
+
+  // Captured requests since the last call
+  takeCaptured() {
+    const captured = this.captured;
+    this.captured = [];
+    return captured;
+  }
+
+  async handle(req, res) {
+    const host = req.headers['x-fake-host'];
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+
+    if (host !== WEATHERFLOW_HOST) {
+      this.captured.push({ method: req.method, host, path: url.pathname, query: url.searchParams, body });
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+      return;
+    }
+
+    const path = url.pathname.slice(API_PREFIX.length);
+    this.apiRequests.push(path);
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (this.failures.has(path)) {
+      send(this.failures.get(path), { status: { status_code: 1, status_message: 'Service Unavailable' } });
+      return;
+    }
+
+    const [, resource, ...rest] = path.split('/');
+    let payload;
+    if (resource === 'stations') {
+      payload = this.recording.stations;
+    } else if (resource === 'diagnostics') {
+      payload = this.recording.diagnostics[rest[0]];
+    } else if (resource === 'observations' && rest[0] === 'device') {
+      payload = this.recording.observations[rest[1]];
+    }
+
+    if (payload === undefined) {
+      send(404, { status: { status_code: 404, status_message: 'NOT FOUND' } });
+    } else {
+      send(200, payload);
+    }
+  }
+}
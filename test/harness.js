@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { mock } from 'node:test';
+import config from './fixtures/config.json' with { type: 'json' };
+import { FakeWeatherFlow, loadRecording } from './fakeWeatherFlow.js';
+import { processUser } from '../index.js';
+import { setCacheStore } from '../cache.js';
+import { MemoryCacheStore } from '../cacheStores.js';
+import { loadTenants } from '../tenants.js';
+
+// Drives processUser against the fake WeatherFlow server, one recording per run,
+// with the clock frozen between runs so timestamps in alerts, cache entries and
+// metric lines are exact.
+
+export const START = Date.UTC(2026, 0, 5, 12, 0, 0);
+export const RUN_INTERVAL_MINUTES = 10;
+
+const SLACK_HOST = new URL(config.VIP_SLACK_WEBHOOK_URL).host;
+const METRIC_HOST = new URL(config.METRIC_URL).host;
+
+function metricRecords(request) {
+  const records = request.method === 'GET'
+    ? request.query.get('records')
+    : new URLSearchParams(request.body).get('records');
+  return records ? records.split(';') : [];
+}
+
+export async function createHarness(tenantName = 'TEST') {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  // The monitor logs every decision; keep test output to the results
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+
+  const server = await new FakeWeatherFlow().start();
+  const interceptor = axios.interceptors.request.use(request => {
+    const target = new URL(request.url);
+    request.headers.set('X-Fake-Host', target.host);
+    request.url = `${server.url}${target.pathname}${target.search}`;
+    return request;
+  });
+
+  const store = new MemoryCacheStore();
+  setCacheStore(store);
+  const tenant = loadTenants(config).find(t => t.name === tenantName);
+  let runs = 0;
+
+  return {
+    server,
+    store,
+    tenant,
+
+    // Replay a recording (by fixture name, or the object itself) as the next run
+    async run(recording, options = {}) {
+      if (runs++ > 0) {
+        mock.timers.tick(RUN_INTERVAL_MINUTES * 60 * 1000);
+      }
+      server.replay(typeof recording === 'string' ? loadRecording(recording) : recording);
+      for (const [path, status] of Object.entries(options.fail || {})) {
+        server.fail(path, status);
+      }
+
+      const result = await processUser(tenant, new Map(), options);
+      const captured = server.takeCaptured();
+      return {
+        result,
+        alerts: captured.filter(r => r.host === SLACK_HOST).map(r => JSON.parse(r.body).text),
+        metrics: captured.filter(r => r.host === METRIC_HOST).flatMap(metricRecords),
+        cache: await this.read(`${tenant.name}_stationOfflineCache.json`)
+      };
+    },
+
+    async read(key) {
+      const obj = await store.read(key);
+      return obj ? obj.data : null;
+    },
+
+    async close() {
+      axios.interceptors.request.eject(interceptor);
+      await server.stop();
+      mock.restoreAll();
+      mock.timers.reset();
+    }
+  };
+}
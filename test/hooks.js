@@ -0,0 +1,11 @@
+// Module resolution hook registered by setup.js
+const REPO_ROOT = new URL('../', import.meta.url).href;
+const TEST_CONFIG = new URL('./fixtures/config.json', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === './config.json' && context.parentURL?.startsWith(REPO_ROOT)
+      && !context.parentURL.slice(REPO_ROOT.length).includes('/')) {
+    return { url: TEST_CONFIG, importAttributes: context.importAttributes, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { logger, addSecrets, redact, startRun } from '../logger.js';
+
+describe('logger', () => {
+  let lines;
+  beforeEach(() => {
+    lines = [];
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, text => lines.push({ method, line: JSON.parse(text) }));
+    }
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('writes one JSON line with the run, context and event', () => {
+    const runId = startRun();
+    logger.child({ tenant: 'TEST' }).warn('diagnostics_fetch_failed', 'Error fetching diagnostics', { stationId: '101' });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].method, 'warn');
+    const { time, ...line } = lines[0].line;
+    assert.ok(!Number.isNaN(Date.parse(time)));
+    assert.deepEqual(line, {
+      level: 'warn',
+      runId,
+      tenant: 'TEST',
+      event: 'diagnostics_fetch_failed',
+      message: 'Error fetching diagnostics',
+      stationId: '101'
+    });
+  });
+
+  it('scrubs API keys and webhook URLs from messages and errors', () => {
+    addSecrets('tenant-secret-key', 'https://ops.example.com/hooks/abc123');
+    const error = new Error('GET https://swd.weatherflow.com/swd/rest/stations?api_key=0123-unregistered failed');
+    error.code = 'ECONNRESET';
+    logger.error('delivery_failed', 'Posting to https://ops.example.com/hooks/abc123 with tenant-secret-key', { error });
+
+    const { message, error: logged } = lines[0].line;
+    assert.equal(message, 'Posting to [REDACTED] with [REDACTED]');
+    assert.deepEqual(logged, {
+      name: 'Error',
+      message: 'GET https://swd.weatherflow.com/swd/rest/stations?api_key=[REDACTED] failed',
+      code: 'ECONNRESET'
+    });
+  });
+
+  it('scrubs Slack webhook URLs without registering them', () => {
+    assert.equal(redact('to https://hooks.slack.com/services/T000/B000/XXXX failed'), 'to [REDACTED] failed');
+  });
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { buildStationMetricLines } from '../metrics.js';
+
+const stations = [
+  { stationId: '101', offline: true, failedSensors: [], devices: [{ serial: 'ST-00012345', failedSensors: ['wind'] }] },
+  { stationId: '102', offline: false, failedSensors: ['wind'], devices: [{ serial: 'SK-00065432', failedSensors: ['wind'] }] },
+  { stationId: '103', offline: false, failedSensors: [], devices: [] }
+];
+
+const build = options => buildStationMetricLines('TEST', 'fn', 0, ['wind'], stations, options)
+  .map(line => `${line.path}=${line.value}`);
+
+describe('buildStationMetricLines', () => {
+  let warnings;
+  beforeEach(() => {
+    warnings = [];
+    mock.method(console, 'warn', text => warnings.push(JSON.parse(text).event));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('adds online state and failure counts split by station state per device', () => {
+    assert.deepEqual(build({ stations: ['101'], devices: true, maxStations: 10 }), [
+      'station_101_online=0',
+      'station_101_failed_sensor_count=0',
+      'station_101_wind_failed=0',
+      'device_ST-00012345_online=0',
+      'device_ST-00012345_failed_sensor_count=1',
+      'device_ST-00012345_failed_sensor_online_count=0',
+      'device_ST-00012345_failed_sensor_offline_count=1'
+    ]);
+  });
+
+  it('warns whenever the cap drops stations, whatever the mode', () => {
+    const lines = build({ stations: 'problems', devices: false, maxStations: 1 });
+    assert.ok(lines.every(line => line.startsWith('station_101_')));
+    build({ stations: ['101', '102', '103'], devices: false, maxStations: 2 });
+    // Both problem stations fit
+    build({ stations: 'problems', devices: false, maxStations: 2 });
+    assert.deepEqual(warnings, ['station_metrics_capped', 'station_metrics_capped']);
+  });
+});
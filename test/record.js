@@ -0,0 +1,57 @@
+import config from '../config.json' with { type: 'json' };
+import fs from 'fs/promises';
+import { GROUP_BASE_URL } from '../constants.js';
+import { getWithRetry } from '../http.js';
+import { loadTenants } from '../tenants.js';
+
+// Record a tenant's live WeatherFlow payloads as a replayable fixture:
+//   node test/record.js --tenant KOOTENAI --name kootenai-wind-failed [--station 12345 ...]
+// Uses the real config.json, so run it outside `npm test`. Only the stations
+// given (or every station) are kept, and the API key never reaches the file.
+
+function parseArgs(argv) {
+  const options = { stations: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--tenant':  options.tenant = argv[++i]; break;
+      case '--name':    options.name = argv[++i]; break;
+      case '--station': options.stations.push(String(argv[++i])); break;
+      default:
+        throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+  if (!options.tenant || !options.name) {
+    throw new Error('Usage: node test/record.js --tenant NAME --name FIXTURE [--station ID ...]');
+  }
+  return options;
+}
+
+const { tenant: tenantName, name, stations: only } = parseArgs(process.argv.slice(2));
+const tenant = loadTenants(config).find(t => t.name === tenantName);
+if (!tenant) {
+  throw new Error(`Unknown tenant "${tenantName}"`);
+}
+const get = async path => (await getWithRetry(`${GROUP_BASE_URL}${path}${path.includes('?') ? '&' : '?'}api_key=${tenant.apiKey}`)).data;
+
+const recording = { recordedAt: Math.floor(Date.now() / 1000), stations: null, diagnostics: {}, observations: {} };
+const stations = await get('/stations');
+recording.stations = {
+  ...stations,
+  stations: stations.stations.filter(s => !only.length || only.includes(String(s.station_id)))
+};
+
+for (const station of recording.stations.stations) {
+  const id = String(station.station_id);
+  recording.diagnostics[id] = await get(`/diagnostics/${id}`);
+
+  // Devices without a last observation in diagnostics fall back to the observations endpoint
+  for (const device of recording.diagnostics[id].devices || []) {
+    if (!device.serial_number.startsWith('HB') && device.last_ob_epoch === undefined && device.last_observation_epoch === undefined) {
+      recording.observations[device.device_id] = await get(`/observations/device/${device.device_id}`);
+    }
+  }
+}
+
+const file = new URL(`./fixtures/${name}.json`, import.meta.url);
+await fs.writeFile(file, `${JSON.stringify(recording, null, 2).replaceAll(tenant.apiKey, 'REDACTED')}\n`);
+console.log(`Recorded ${recording.stations.stations.length} stations to test/fixtures/${name}.json`);
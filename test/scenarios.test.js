@@ -0,0 +1,418 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createHarness, START, RUN_INTERVAL_MINUTES } from './harness.js';
+import { loadRecording } from './fakeWeatherFlow.js';
+import { NotifierGroup, ConsoleNotifier, PagerDutyNotifier } from '../notifiers.js';
+import { stationIds } from '../cache.js';
+import { CacheConflictError } from '../cacheStores.js';
+import { runUptimeReports } from '../reports.js';
+
+const runAt = n => START + n * RUN_INTERVAL_MINUTES * 60 * 1000;
+const metricLine = (n, path, value) => `vip.test_${path}.vip-lambda-julian,${runAt(n) / 1000},${value}`;
+const ridge = '*<https://tempestwx.com/station/101|101>* (Test Ridge)';
+const valley = '*<https://tempestwx.com/station/102|102>* (Test Valley)';
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]));
+}
+
+// The healthy recording with one device reporting a different firmware revision
+function healthyWithFirmware(serial, revision) {
+  const recording = loadRecording('healthy');
+  for (const diagnostics of Object.values(recording.diagnostics)) {
+    for (const device of diagnostics.devices) {
+      if (device.serial_number === serial) device.firmware_revision = revision;
+    }
+  }
+  return recording;
+}
+
+describe('station goes offline and recovers', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it('sends nothing while everything is healthy', async () => {
+    const { alerts, cache, result } = await h.run('healthy');
+    assert.deepEqual(alerts, []);
+    assert.equal(result.offlineCount, 0);
+    assert.deepEqual(stationIds(cache), ['101', '102']);
+  });
+
+  it('alerts once the station drops offline', async () => {
+    const { alerts, cache, metrics } = await h.run('ridge-offline');
+    assert.deepEqual(alerts, [`<@UTESTER1> :rotating_light: TEST Station ${ridge} is *OFFLINE*!`]);
+    assert.deepEqual(pick(cache.stations['101'], ['offline', 'offlineRuns', 'onlineRuns', 'offlineAlerted', 'offlineSince']), {
+      offline: true,
+      offlineRuns: 1,
+      onlineRuns: 0,
+      offlineAlerted: true,
+      offlineSince: runAt(1)
+    });
+    assert.deepEqual(metrics.slice(0, 3), [
+      metricLine(1, 'station_online_count', 1),
+      metricLine(1, 'station_offline_count', 1),
+      metricLine(1, 'station_unknown_count', 0)
+    ]);
+  });
+
+  it('reports the outage length on recovery', async () => {
+    const { alerts, cache, metrics } = await h.run('healthy');
+    assert.deepEqual(alerts, [`:white_check_mark: TEST Station ${ridge} has *RECOVERED*! (offline for 10m)`]);
+    assert.deepEqual(pick(cache.stations['101'], ['offline', 'offlineRuns', 'onlineRuns', 'offlineAlerted', 'offlineSince', 'lastOutage']), {
+      offline: false,
+      offlineRuns: 0,
+      onlineRuns: 1,
+      offlineAlerted: false,
+      lastOutage: { start: runAt(1), end: runAt(2) }
+    });
+    assert.ok(metrics.includes(metricLine(2, 'station_offline_count', 0)));
+    assert.ok(metrics.includes(metricLine(2, 'cache_unavailable', 0)));
+  });
+
+  it('logs both transitions as incidents', async () => {
+    const { events } = await h.read('TEST_incidents_2026-01.json');
+    assert.deepEqual(events, [
+      { time: runAt(1), stationId: '101', stationName: 'Test Ridge', type: 'offline' },
+      { time: runAt(2), stationId: '101', stationName: 'Test Ridge', type: 'online', since: runAt(1), durationMs: 600000 }
+    ]);
+  });
+
+  it('keeps uptime report files in the cache backend', async () => {
+    await runUptimeReports([h.tenant], { from: '2026-01-05', to: '2026-01-05' });
+    const summary = h.server.takeCaptured().map(r => JSON.parse(r.body).text);
+
+    assert.match(summary[0], /^:bar_chart: \*TEST uptime\* 2026-01-05 to 2026-01-05: /);
+    assert.match(h.store.objects.get('reports/TEST_uptime_2026-01-05_2026-01-05.md').body, /^# TEST uptime/);
+    assert.match(h.store.objects.get('reports/TEST_uptime_2026-01-05_2026-01-05.csv').body, /^station_id,station_name,/);
+  });
+
+  it("still posts the report summary when the files can't be written", async () => {
+    const writeText = h.store.writeText;
+    h.store.writeText = async () => { throw new Error('read-only file system'); };
+    await runUptimeReports([h.tenant], { from: '2026-01-05', to: '2026-01-05' });
+    h.store.writeText = writeText;
+
+    assert.equal(h.server.takeCaptured().length, 1);
+  });
+});
+
+describe('station flaps before its recovery is alerted', () => {
+  let h;
+  before(async () => {
+    h = await createHarness();
+    h.tenant.thresholds = { ...h.tenant.thresholds, recoveryAlertRuns: 2 };
+  });
+  after(() => h.close());
+
+  it('reports the outage from when it first went offline', async () => {
+    await h.run('healthy');
+    await h.run('ridge-offline');
+    await h.run('healthy');
+    const dropped = await h.run('ridge-offline');
+    assert.equal(dropped.cache.stations['101'].offlineSince, runAt(1));
+
+    await h.run('healthy');
+    const { alerts, cache } = await h.run('healthy');
+    assert.deepEqual(alerts, [`:white_check_mark: TEST Station ${ridge} has *RECOVERED*! (offline for 30m)`]);
+    assert.deepEqual(pick(cache.stations['101'], ['offlineAlerted', 'offlineSince', 'onlineSince', 'lastOutage']), {
+      offlineAlerted: false,
+      lastOutage: { start: runAt(1), end: runAt(4) }
+    });
+  });
+});
+
+describe('PagerDuty', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  // The valley station with a second Sky; `failing` lists the serials with a wind failure
+  function valleyTwoSkies(failing) {
+    const recording = loadRecording('healthy');
+    const devices = recording.diagnostics['102'].devices;
+    const sky = devices.find(d => d.serial_number === 'SK-00065432');
+    devices.push({ ...sky, device_id: 2013, serial_number: 'SK-00065433' });
+    for (const device of devices) {
+      if (failing.includes(device.serial_number)) device.sensor_status = 0x40;
+    }
+    return recording;
+  }
+
+  // Records each event's action and dedup key instead of posting it
+  class RecordingPagerDuty extends PagerDutyNotifier {
+    events = [];
+    async sendEvent(action, dedupKey) {
+      this.events.push([action, dedupKey]);
+    }
+  }
+
+  it('keeps each device failing a sensor as its own incident', async () => {
+    const pagerDuty = new RecordingPagerDuty('test-routing-key');
+    const notifier = new NotifierGroup([pagerDuty]);
+    await h.run(valleyTwoSkies([]), { notifier });
+    await h.run(valleyTwoSkies(['SK-00065432', 'SK-00065433']), { notifier });
+    await h.run(valleyTwoSkies(['SK-00065433']), { notifier });
+
+    assert.deepEqual(pagerDuty.events, [
+      ['trigger', 'tempest-vips/TEST/102/SK-00065432/wind'],
+      ['trigger', 'tempest-vips/TEST/102/SK-00065433/wind'],
+      ['resolve', 'tempest-vips/TEST/102/SK-00065432/wind']
+    ]);
+  });
+});
+
+describe('cache save conflict', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it("doesn't log incidents from a run whose cache save failed", async () => {
+    await h.run('healthy');
+    // An overlapping run writes the cache between this run's load and save
+    const write = h.store.write.bind(h.store);
+    h.store.write = async (key, data, version) => {
+      if (key === 'TEST_stationOfflineCache.json') throw new CacheConflictError(key);
+      return write(key, data, version);
+    };
+    const { cache } = await h.run('ridge-offline');
+    h.store.write = write;
+
+    assert.equal(cache.stations['101'].offline, false);
+    assert.equal(await h.read('TEST_incidents_2026-01.json'), null);
+
+    await h.run('ridge-offline');
+    const { events } = await h.read('TEST_incidents_2026-01.json');
+    assert.deepEqual(events, [{ time: runAt(2), stationId: '101', stationName: 'Test Ridge', type: 'offline' }]);
+  });
+});
+
+describe('sensor failure is added and then clears', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it('alerts on the new failure', async () => {
+    await h.run('healthy');
+    const { alerts, cache, metrics, result } = await h.run('valley-wind-failed');
+
+    assert.deepEqual(alerts, [`<@UTESTER1> :warning: TEST Station ${valley} has sensor failures: wind`]);
+    assert.deepEqual(result.stations.map(s => [s.stationId, s.failures]), [['101', []], ['102', ['wind']]]);
+    assert.deepEqual(cache.stations['102'].devices['SK-00065432'].failures, {
+      wind: { failing: true, since: runAt(1), runs: 1, alerted: true, clearRuns: 0 }
+    });
+    // The unsplit failure count only covers offline stations
+    assert.deepEqual(metrics.filter(line => line.includes('_wind_failure')), [
+      metricLine(1, 'station_wind_failure_count', 0),
+      metricLine(1, 'station_wind_failure_online_count', 1),
+      metricLine(1, 'station_wind_failure_offline_count', 0)
+    ]);
+  });
+
+  it("doesn't repeat the alert while the failure persists", async () => {
+    const { alerts, cache } = await h.run('valley-wind-failed');
+    assert.deepEqual(alerts, []);
+    assert.equal(cache.stations['102'].devices['SK-00065432'].failures.wind.runs, 2);
+  });
+
+  it('sends a recovery with how long the sensor was down', async () => {
+    const { alerts, cache, metrics } = await h.run('healthy');
+    assert.deepEqual(alerts, [
+      `:white_check_mark: TEST Station ${valley} sensor recovered on SK-00065432: wind (failed for 20m)`
+    ]);
+    assert.deepEqual(pick(cache.stations['102'].devices['SK-00065432'], ['failures', 'lastFailure']), {
+      failures: {},
+      lastFailure: { wind: { start: runAt(1), end: runAt(3) } }
+    });
+    assert.ok(metrics.includes(metricLine(3, 'station_wind_failure_online_count', 0)));
+  });
+});
+
+describe('diagnostics unavailable', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it('keeps the previous entry and holds alerts for an unknown station', async () => {
+    const before = (await h.run('healthy')).cache;
+    const { alerts, cache, metrics, result } = await h.run('ridge-offline', { fail: { '/diagnostics/101': 503 } });
+
+    assert.deepEqual(alerts, []);
+    assert.equal(result.unknownCount, 1);
+    assert.deepEqual(result.stations[0], { stationId: '101', stationName: 'Test Ridge', state: 'unknown' });
+    assert.deepEqual(cache.stations['101'], before.stations['101']);
+    assert.ok(metrics.includes(metricLine(1, 'station_unknown_count', 1)));
+  });
+});
+
+describe('stale data', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  // The healthy recording with the Tempest's last observation an hour old, or missing
+  function ridgeLastObservation(secondsAgo) {
+    const recording = loadRecording('healthy');
+    const device = recording.diagnostics['101'].devices.find(d => d.serial_number === 'ST-00012345');
+    if (secondsAgo === null) {
+      delete device.last_ob_epoch;
+    } else {
+      device.last_ob_epoch = recording.recordedAt - secondsAgo;
+    }
+    return recording;
+  }
+
+  it('alerts on a device that stopped sending observations', async () => {
+    const { alerts, cache } = await h.run(ridgeLastObservation(3600));
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0], /device ST-00012345 has \*STALE DATA\*/);
+    assert.deepEqual(pick(cache.stations['101'].devices['ST-00012345'], ['stale', 'staleRuns', 'freshRuns', 'staleAlerted']), {
+      stale: true,
+      staleRuns: 1,
+      freshRuns: 0,
+      staleAlerted: true
+    });
+  });
+
+  it("keeps the device stale when its last observation can't be read", async () => {
+    const before = (await h.read('TEST_stationOfflineCache.json')).stations['101'].devices['ST-00012345'];
+    const { alerts, cache } = await h.run(ridgeLastObservation(null), { fail: { '/observations/device/2001': 503 } });
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(
+      pick(cache.stations['101'].devices['ST-00012345'], ['lastObservation', 'stale', 'staleRuns', 'freshRuns', 'staleAlerted', 'staleSince']),
+      pick(before, ['lastObservation', 'stale', 'staleRuns', 'freshRuns', 'staleAlerted', 'staleSince'])
+    );
+  });
+
+  it('keeps the device stale while its station is offline', async () => {
+    const before = (await h.read('TEST_stationOfflineCache.json')).stations['101'].devices['ST-00012345'];
+    const offline = await h.run('ridge-offline');
+    assert.deepEqual(offline.alerts, [`<@UTESTER1> :rotating_light: TEST Station ${ridge} is *OFFLINE*!`]);
+    assert.deepEqual(
+      pick(offline.cache.stations['101'].devices['ST-00012345'], ['stale', 'staleRuns', 'freshRuns', 'staleAlerted', 'staleSince']),
+      pick(before, ['stale', 'staleRuns', 'freshRuns', 'staleAlerted', 'staleSince'])
+    );
+
+    const { alerts } = await h.run('healthy');
+    assert.ok(alerts.includes(`:white_check_mark: TEST Station ${ridge} device ST-00012345 is sending data again`));
+  });
+});
+
+describe('suspect sensors', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  // The healthy recording with the Tempest reporting an impossible air temperature
+  function ridgeTemperature(value) {
+    const recording = loadRecording('healthy');
+    const epoch = recording.recordedAt - 60;
+    recording.observations = { 2001: { obs: [[epoch, 0, 1.2, 0, 0, 0, 1000, value, 50]] } };
+    return recording;
+  }
+
+  it('alerts on a reading no sensor could make', async () => {
+    h.tenant.plausibility = { enabled: true, rules: {} };
+    const { alerts, cache } = await h.run(ridgeTemperature(99));
+    assert.deepEqual(alerts, [
+      `<@UTESTER1> :mag: TEST Station ${ridge} has *SUSPECT* sensors on ST-00012345: air_temperature (reading 99 outside -60..60)`
+    ]);
+    assert.deepEqual(cache.stations['101'].devices['ST-00012345'].suspectAlerted, ['air_temperature']);
+  });
+
+  it('clears the alert once the checks are turned off', async () => {
+    h.tenant.plausibility = { enabled: false, rules: {} };
+    const { alerts, cache } = await h.run(ridgeTemperature(99));
+    assert.deepEqual(alerts, [`:white_check_mark: TEST Station ${ridge} readings look normal again on ST-00012345: air_temperature`]);
+    assert.deepEqual(pick(cache.stations['101'].devices['ST-00012345'], ['suspects', 'suspectAlerted']), { suspects: [], suspectAlerted: [] });
+  });
+});
+
+describe('firmware', () => {
+  let h;
+  before(async () => {
+    h = await createHarness();
+    h.tenant.minFirmware = { ST: 172 };
+  });
+  after(() => h.close());
+
+  it('alerts on a device below the minimum and counts revisions', async () => {
+    const { alerts, cache, metrics } = await h.run('healthy');
+    assert.deepEqual(alerts, [`<@UTESTER1> :package: TEST Station ${ridge} device ST-00012345 is on *OUTDATED* firmware 171 (minimum 172)`]);
+    assert.deepEqual(pick(cache.stations['101'].devices['ST-00012345'], ['firmware', 'firmwareSince', 'previousFirmware']), {
+      firmware: 171,
+      firmwareSince: runAt(0),
+      previousFirmware: null
+    });
+    assert.deepEqual(metrics.filter(line => line.includes('_firmware_')), [
+      metricLine(0, 'device_hb_firmware_194_count', 2),
+      metricLine(0, 'device_st_firmware_171_count', 1),
+      metricLine(0, 'device_ar_firmware_35_count', 1),
+      metricLine(0, 'device_sk_firmware_91_count', 1),
+      metricLine(0, 'device_st_firmware_outdated_count', 1)
+    ]);
+  });
+
+  it('follows up once the device is updated', async () => {
+    const { alerts, cache } = await h.run(healthyWithFirmware('ST-00012345', 172));
+    assert.deepEqual(alerts, [`:white_check_mark: TEST Station ${ridge} device ST-00012345 is on firmware 172 (minimum 172)`]);
+    assert.deepEqual(pick(cache.stations['101'].devices['ST-00012345'], ['firmware', 'firmwareSince', 'previousFirmware']), {
+      firmware: 172,
+      firmwareSince: runAt(1),
+      previousFirmware: 171
+    });
+  });
+
+  it('reports other firmware changes and logs them as incidents', async () => {
+    const recording = healthyWithFirmware('ST-00012345', 172);
+    recording.diagnostics['102'].devices.find(d => d.serial_number === 'AR-00054321').firmware_revision = 36;
+    const { alerts } = await h.run(recording);
+    assert.deepEqual(alerts, [`:package: TEST Station ${valley} device AR-00054321 firmware changed from 35 to 36`]);
+
+    const { events } = await h.read('TEST_incidents_2026-01.json');
+    assert.deepEqual(events, [
+      { time: runAt(1), stationId: '101', stationName: 'Test Ridge', type: 'firmware_change', serial: 'ST-00012345', from: 171, to: 172 },
+      { time: runAt(2), stationId: '102', stationName: 'Test Valley', type: 'firmware_change', serial: 'AR-00054321', from: 35, to: 36 }
+    ]);
+  });
+});
+
+describe('dry run', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it('prints alerts and leaves the cache, incidents and metrics alone', async () => {
+    const before = (await h.run('healthy')).cache;
+    const printed = [];
+    const notifier = new NotifierGroup([new ConsoleNotifier(message => printed.push(message))]);
+    const { alerts, cache, metrics } = await h.run('ridge-offline', { dryRun: true, notifier });
+
+    assert.deepEqual(printed, [`<@UTESTER1> :rotating_light: TEST Station ${ridge} is *OFFLINE*!`]);
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(metrics, []);
+    assert.deepEqual(cache, before);
+    assert.equal(await h.read('TEST_incidents_2026-01.json'), null);
+  });
+});
+
+describe('single-station check', () => {
+  let h;
+  before(async () => { h = await createHarness(); });
+  after(() => h.close());
+
+  it('alerts for the station but leaves tenant metrics and API health alone', async () => {
+    const before = (await h.run('healthy')).cache;
+    const { alerts, cache, metrics } = await h.run('ridge-offline', { stationId: '101' });
+
+    assert.deepEqual(alerts, [`<@UTESTER1> :rotating_light: TEST Station ${ridge} is *OFFLINE*!`]);
+    assert.deepEqual(metrics, []);
+    assert.equal(cache.stations['101'].offline, true);
+    assert.deepEqual(cache.stations['102'], before.stations['102']);
+
+    // Only station 101 is unreachable, which says nothing about the tenant's API
+    const unreachable = await h.run('healthy', { stationId: '101', fail: { '/diagnostics/101': 503 } });
+    assert.deepEqual(unreachable.metrics, []);
+    assert.deepEqual(unreachable.cache.monitor, before.monitor);
+  });
+});
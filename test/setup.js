@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// Preloaded by `npm test` (node --import): point every `./config.json` import at
+// the test config, so tests never need (or touch) a real config.json
+register('./hooks.js', import.meta.url);
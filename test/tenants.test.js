@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { TenantRegistryError, validateTenants } from '../tenants.js';
+
+describe('tenant registry', () => {
+  it('applies defaults under tenant settings', () => {
+    const [tenant] = validateTenants({
+      defaults: { thresholds: { offlineAlertRuns: 3 }, alertsOn: true },
+      tenants: [{ name: 'TEST', apiKey: 'key', thresholds: { recoveryAlertRuns: 2 } }]
+    });
+    assert.equal(tenant.alertsOn, true);
+    assert.equal(tenant.thresholds.offlineAlertRuns, 3);
+    assert.equal(tenant.thresholds.recoveryAlertRuns, 2);
+  });
+
+  it('rejects misspelt settings and thresholds, in defaults too', () => {
+    const registry = {
+      defaults: { alertOn: true, apiKey: 'shared', thresholds: { failureAlertRun: 2 } },
+      tenants: [{ name: 'TEST', apiKey: 'key', thresholds: { offlineAlertRun: 2 } }]
+    };
+
+    assert.throws(() => validateTenants(registry), err => {
+      assert.ok(err instanceof TenantRegistryError);
+      assert.deepEqual(err.errors.map(e => e.replace(/ \(expected .*\)$/, '')), [
+        'defaults: unknown setting "alertOn"',
+        'defaults: unknown setting "apiKey"',
+        'defaults: unknown threshold "failureAlertRun"',
+        'tenant TEST: unknown threshold "offlineAlertRun"'
+      ]);
+      return true;
+    });
+  });
+});